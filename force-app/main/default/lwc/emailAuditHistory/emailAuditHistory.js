@@ -0,0 +1,213 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getAuditHistory from '@salesforce/apex/EmailForwardAudit.getAuditHistory';
+import { buildCsv, downloadBlob, formatFileSize, reduceErrors } from 'c/emailUtils';
+
+const ACTION_OPTIONS = [
+    { label: 'All', value: '' },
+    { label: 'Forward', value: 'Forward' },
+    { label: 'Download', value: 'Download' },
+    { label: 'Archive', value: 'Archive' },
+    { label: 'Import', value: 'Import' },
+    { label: 'Public Link', value: 'Public Link' }
+];
+
+const OUTCOME_OPTIONS = [
+    { label: 'All', value: '' },
+    { label: 'Success', value: 'Success' },
+    { label: 'Partial', value: 'Partial' },
+    { label: 'Failed', value: 'Failed' }
+];
+
+// Matches MAX_HISTORY_ROWS in EmailForwardAudit
+const MAX_HISTORY_ROWS = 2000;
+
+// Delay before filtering while the user types
+const SEARCH_DELAY = 300;
+
+const COLUMNS = [
+    {
+        label: 'Date',
+        fieldName: 'actionDate',
+        type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' },
+        initialWidth: 170
+    },
+    { label: 'User', fieldName: 'userName', type: 'text', initialWidth: 150 },
+    { label: 'Action', fieldName: 'action', type: 'text', initialWidth: 100 },
+    { label: 'Outcome', fieldName: 'outcome', type: 'text', initialWidth: 100 },
+    { label: 'Emails', fieldName: 'emailCount', type: 'number', initialWidth: 80, cellAttributes: { alignment: 'center' } },
+    { label: 'Recipients', fieldName: 'recipients', type: 'text', wrapText: true },
+    {
+        label: 'Record',
+        fieldName: 'parentRecordUrl',
+        type: 'url',
+        typeAttributes: { label: { fieldName: 'parentRecordId' }, target: '_blank' },
+        initialWidth: 170
+    },
+    { label: 'Size', fieldName: 'formattedSize', type: 'text', initialWidth: 90 },
+    { label: 'Details', fieldName: 'details', type: 'text', wrapText: true }
+];
+
+/**
+ * Email Forward Audit History Component
+ * Lists who forwarded or downloaded which emails, to whom and with what outcome.
+ * On a record page it shows the history of that record's emails; on an app or
+ * home page it shows all history the user can see.
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+export default class EmailAuditHistory extends LightningElement {
+    @api recordId;
+
+    @track entries = [];
+    @track isLoading = false;
+    @track error;
+
+    // Filters applied on the server
+    @track filterAction = '';
+    @track filterOutcome = '';
+    @track filterFromDate = null;
+    @track filterToDate = null;
+
+    // Search over the loaded rows (user, recipients, email IDs and details)
+    @track searchTerm = '';
+    searchTimer;
+    // Incremented per load so responses to outdated filters are ignored
+    loadVersion = 0;
+
+    columns = COLUMNS;
+    actionOptions = ACTION_OPTIONS;
+    outcomeOptions = OUTCOME_OPTIONS;
+
+    connectedCallback() {
+        this.loadHistory();
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimer);
+    }
+
+    get title() {
+        return this.recordId ? 'Email Forward & Download History' : 'Email Forward & Download Audit';
+    }
+
+    // Loaded rows that match the search term
+    get filteredEntries() {
+        const term = this.searchTerm.trim().toLowerCase();
+        if (!term) {
+            return this.entries;
+        }
+        return this.entries.filter(entry => [entry.userName, entry.recipients, entry.emailIds, entry.details, entry.parentRecordId]
+            .some(value => value && value.toLowerCase().includes(term)));
+    }
+
+    get hasEntries() {
+        return this.filteredEntries.length > 0;
+    }
+
+    get showEmptyMessage() {
+        return !this.error;
+    }
+
+    get summary() {
+        const shown = this.filteredEntries.length;
+        const limitNote = this.entries.length >= MAX_HISTORY_ROWS ? ` (newest ${MAX_HISTORY_ROWS} loaded; narrow the filters to see older entries)` : '';
+        return `${shown} entr${shown === 1 ? 'y' : 'ies'}${limitNote}`;
+    }
+
+    get isExportDisabled() {
+        return this.isLoading || !this.hasEntries;
+    }
+
+    async loadHistory() {
+        const version = ++this.loadVersion;
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            const entries = await getAuditHistory({
+                recordId: this.recordId,
+                filter: {
+                    action: this.filterAction || null,
+                    outcome: this.filterOutcome || null,
+                    fromDate: this.filterFromDate || null,
+                    toDate: this.filterToDate || null
+                }
+            });
+            if (version !== this.loadVersion) {
+                return;
+            }
+            this.entries = (entries || []).map(entry => ({
+                ...entry,
+                parentRecordUrl: entry.parentRecordId ? `/${entry.parentRecordId}` : null,
+                formattedSize: entry.sizeBytes != null ? formatFileSize(entry.sizeBytes) : ''
+            }));
+        } catch (error) {
+            if (version === this.loadVersion) {
+                this.error = reduceErrors(error);
+                this.entries = [];
+            }
+        } finally {
+            if (version === this.loadVersion) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    // Handle the action, outcome and date filters
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        this[field] = event.detail.value;
+        this.loadHistory();
+    }
+
+    // Filter the loaded rows after the user stops typing
+    handleSearchChange(event) {
+        const value = event.target.value;
+        clearTimeout(this.searchTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimer = setTimeout(() => {
+            this.searchTerm = value || '';
+        }, SEARCH_DELAY);
+    }
+
+    handleRefresh() {
+        this.loadHistory();
+    }
+
+    // Export the rows that are shown as CSV
+    async handleExport() {
+        const rows = [[
+            'Audit Number', 'Date', 'User', 'Action', 'Outcome', 'Email Count', 'Email IDs',
+            'Recipients', 'Parent Record ID', 'Size (Bytes)', 'Details'
+        ]];
+        this.filteredEntries.forEach(entry => {
+            rows.push([
+                entry.name,
+                entry.actionDate,
+                entry.userName,
+                entry.action,
+                entry.outcome,
+                entry.emailCount,
+                entry.emailIds,
+                entry.recipients,
+                entry.parentRecordId,
+                entry.sizeBytes,
+                entry.details
+            ]);
+        });
+
+        try {
+            const csvBlob = new Blob([buildCsv(rows)], { type: 'text/csv;charset=utf-8' });
+            await downloadBlob(csvBlob, `email_audit_${new Date().toISOString().slice(0, 10)}.csv`);
+        } catch (error) {
+            this.showToast('Error', reduceErrors(error), 'error');
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -2,36 +2,67 @@ import { LightningElement, api, wire } from 'lwc';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { FlowNavigationFinishEvent } from 'lightning/flowSupport';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import getEmailsForDownload from '@salesforce/apex/EmailForwarder.getEmailsForDownload';
-import hasDownloadPermission from '@salesforce/apex/EmailForwarder.hasDownloadPermission';
-import { downloadEmlFile, reduceErrors } from 'c/emailUtils';
+import getEmailDownloadData from '@salesforce/apex/EmailForwarder.getEmailDownloadData';
+import getAttachmentContent from '@salesforce/apex/EmailForwarder.getAttachmentContent';
+import getUserPermissions from '@salesforce/apex/EmailForwarder.getUserPermissions';
+import {
+    buildEmailFile,
+    buildReadableFile,
+    createZipFile,
+    downloadEmlFile,
+    downloadZipFile,
+    MIN_PASSWORD_LENGTH,
+    reduceErrors,
+    uniqueEntryName
+} from 'c/emailUtils';
+
+const FORMAT_EML = 'eml';
+const FORMAT_HTML = 'html';
+const FORMAT_TEXT = 'text';
+
+const FORMAT_OPTIONS = [
+    { label: '.eml (mail client)', value: FORMAT_EML },
+    { label: 'HTML', value: FORMAT_HTML },
+    { label: 'Plain text', value: FORMAT_TEXT }
+];
+
+// Number of emails requested from Apex per call (matches the modal)
+const DOWNLOAD_BATCH_SIZE = 25;
 
 /**
  * Email Downloader Component (Screen Action / Flow Screen)
- * Downloads a single email message as an EML file from the EmailMessage record page
- * Requires Allow_Email_Download custom permission
- * 
+ * Downloads a single email from the EmailMessage record page, or the emails selected in a
+ * list view or related list (through the Download_Emails flow) as one ZIP file, as .eml,
+ * standalone HTML or plain text files
+ * Requires Allow_Email_Download custom permission; users with Require_Download_Encryption
+ * must enter a password and get an AES-256 encrypted ZIP
+ *
  * @author Annindya Das
- * @version 1.1 - Added permission check
+ * @version 1.3 - Added mass downloads and the HTML and plain text formats
  */
 export default class EmailDownloader extends LightningElement {
     _recordId;
-    _isDownloading = false;
+    _recordIds = [];
     _canDownload = false;
+    _encryptionRequired = false;
     _permissionChecked = false;
-    
+
+    format = FORMAT_EML;
+    formatOptions = FORMAT_OPTIONS;
+    password = '';
+    isDownloading = false;
+    progress = { processed: 0, total: 0 };
+
     /**
-     * Wire to check download permission
+     * Wire to check download permission and whether downloads must be encrypted
      */
-    @wire(hasDownloadPermission)
+    @wire(getUserPermissions)
     wiredPermission({ error, data }) {
-        if (data !== undefined) {
-            this._canDownload = data;
+        if (data) {
+            this._canDownload = !!data.canDownload;
+            this._encryptionRequired = !!data.encryptionRequired;
             this._permissionChecked = true;
-            // If recordId was set before permission check completed, try download now
-            if (this._recordId && this._canDownload) {
-                this.downloadEmail();
-            } else if (this._recordId && !this._canDownload) {
+            if (!this._canDownload) {
                 this.showToast('Access Denied', 'You do not have permission to download emails. Please contact your administrator.', 'error');
                 this.closeAction();
             }
@@ -41,54 +72,132 @@ export default class EmailDownloader extends LightningElement {
             this.closeAction();
         }
     }
-    
+
     // Flow support - available actions
     @api availableActions = [];
-    
+
+    // The EmailMessage of the record page (quick action or Download_Email flow)
     @api
     get recordId() {
         return this._recordId;
     }
     set recordId(value) {
-        if (value && value !== this._recordId) {
-            this._recordId = value;
-            // Only auto-trigger if permission already checked and granted
-            if (this._permissionChecked && this._canDownload) {
-                this.downloadEmail();
-            } else if (this._permissionChecked && !this._canDownload) {
-                this.showToast('Access Denied', 'You do not have permission to download emails. Please contact your administrator.', 'error');
-                this.closeAction();
-            }
-            // If permission not yet checked, wire handler will trigger download
+        this._recordId = value;
+    }
+
+    // The EmailMessages selected in a list view or related list (Download_Emails flow)
+    @api
+    get recordIds() {
+        return this._recordIds;
+    }
+    set recordIds(value) {
+        this._recordIds = Array.isArray(value) ? value.filter(id => id) : [];
+    }
+
+    get emailIds() {
+        if (this._recordIds.length > 0) {
+            return this._recordIds;
         }
+        return this._recordId ? [this._recordId] : [];
+    }
+
+    get isMassDownload() {
+        return this.emailIds.length > 1;
     }
-    
+
+    get showForm() {
+        return this._permissionChecked && this._canDownload && !this.isDownloading && this.emailIds.length > 0;
+    }
+
+    get noEmailsSelected() {
+        return this._permissionChecked && this._canDownload && this.emailIds.length === 0;
+    }
+
+    get selectionSummary() {
+        return `${this.emailIds.length} emails selected. They are downloaded as one ZIP file.`;
+    }
+
+    get isDownloadPasswordValid() {
+        if (!this.password) {
+            return !this._encryptionRequired;
+        }
+        return this.password.length >= MIN_PASSWORD_LENGTH;
+    }
+
+    get isDownloadDisabled() {
+        return this.isDownloading || this.emailIds.length === 0 || !this.isDownloadPasswordValid;
+    }
+
+    get isPasswordRequired() {
+        return this._encryptionRequired;
+    }
+
+    get passwordLabel() {
+        return this._encryptionRequired ? 'ZIP Password' : 'ZIP Password (optional)';
+    }
+
+    get passwordHint() {
+        if (this._encryptionRequired) {
+            return `Your organization requires downloaded emails to be password protected. Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+        }
+        return `Enter at least ${MIN_PASSWORD_LENGTH} characters to download an AES-256 encrypted ZIP file.`;
+    }
+
+    get progressLabel() {
+        return this.isMassDownload
+            ? `Downloading ${this.progress.processed} / ${this.progress.total} emails...`
+            : 'Downloading email...';
+    }
+
+    handleFormatChange(event) {
+        this.format = event.detail.value;
+    }
+
+    handlePasswordChange(event) {
+        this.password = event.detail.value;
+    }
+
     /**
-     * Download the email as EML file
+     * Download the emails in the chosen format: a single email as one file, several emails
+     * (or any email with a password) as a ZIP file
      */
-    async downloadEmail() {
-        if (this._isDownloading || !this._recordId || !this._canDownload) {
+    async handleDownload() {
+        if (this.isDownloadDisabled || !this._canDownload) {
             return;
         }
-        this._isDownloading = true;
-        
+        const emailIds = this.emailIds;
+        this.isDownloading = true;
+        this.progress = { processed: 0, total: emailIds.length };
+
         try {
-            // Get email content as EML
-            const emailContents = await getEmailsForDownload({ 
-                emailIds: [this._recordId] 
-            });
-            
-            if (!emailContents || emailContents.length === 0) {
-                this.showToast('Warning', 'No email content available for download.', 'warning');
-                this.closeAction();
+            const { files, failedCount, failureMessages, omitted } = await this.buildFiles(emailIds);
+
+            if (files.length === 0) {
+                this.showToast('Warning', failureMessages[0] || 'No email content available for download.', 'warning');
                 return;
             }
-            
-            // Download as single EML file
-            const email = emailContents[0];
-            downloadEmlFile(email.content, email.fileName);
-            
-            this.showToast('Success', 'Email downloaded successfully', 'success');
+
+            if (emailIds.length === 1 && !this.password) {
+                downloadEmlFile(files[0].content, files[0].fileName);
+            } else {
+                const zipBlob = await createZipFile(files, { password: this.password || undefined });
+                const zipFileName = emailIds.length === 1 ? files[0].fileName.replace(/\.[^.]+$/, '.zip') : undefined;
+                await downloadZipFile(zipBlob, zipFileName);
+            }
+
+            const notes = [];
+            if (failedCount > 0) {
+                notes.push(`${failedCount} email(s) could not be downloaded (${failureMessages.join('; ')})`);
+            }
+            if (omitted.length > 0) {
+                notes.push(`left out ${omitted.length} attachment(s): ${omitted.join(', ')}`);
+            }
+            const message = emailIds.length === 1 ? 'Email downloaded' : `Downloaded ${files.length} email(s)`;
+            if (notes.length > 0) {
+                this.showToast('Success', `${message}, but ${notes.join('; ')}`, 'warning');
+            } else {
+                this.showToast('Success', `${message} successfully`, 'success');
+            }
         } catch (error) {
             this.showToast('Error', reduceErrors(error), 'error');
         } finally {
@@ -99,7 +208,72 @@ export default class EmailDownloader extends LightningElement {
             }, 500);
         }
     }
-    
+
+    /**
+     * Fetch the emails in batches and build a file per email, with unique file names
+     * @returns {Promise<Object>} files, failedCount, failureMessages (each once) and omitted (attachment descriptions)
+     */
+    async buildFiles(emailIds) {
+        const files = [];
+        const failureMessages = new Set();
+        let failedCount = 0;
+        const omitted = [];
+        const usedNames = new Set();
+        // Recorded in the audit trail with the user's encryption requirement
+        const encrypted = !!this.password;
+        const loadAttachment = (attachmentId) => getAttachmentContent({ attachmentId, encrypted });
+
+        const batches = [];
+        for (let start = 0; start < emailIds.length; start += DOWNLOAD_BATCH_SIZE) {
+            batches.push(emailIds.slice(start, start + DOWNLOAD_BATCH_SIZE));
+        }
+
+        // One batch and one email at a time, so the progress bar moves in order
+        await batches.reduce((previousBatch, batchIds) => previousBatch.then(async () => {
+            let emailData = [];
+            try {
+                // Get email data; the files are built in the browser
+                emailData = await getEmailDownloadData({ emailIds: batchIds, encrypted }) || [];
+            } catch (error) {
+                failureMessages.add(reduceErrors(error));
+            }
+
+            await emailData.reduce((previousEmail, email) => previousEmail.then(async () => {
+                try {
+                    const file = await this.buildFile(email, loadAttachment);
+                    file.fileName = uniqueEntryName(file.fileName, usedNames);
+                    files.push(file);
+                    omitted.push(...(email.omittedAttachments || [])
+                        .map(attachment => `${attachment.fileName} (${attachment.reason})`));
+                } catch (error) {
+                    failedCount++;
+                    failureMessages.add(`${email.subject}: ${reduceErrors(error)}`);
+                }
+            }), Promise.resolve());
+
+            // Emails Apex did not return were deleted, are not accessible or their batch failed
+            const missingCount = batchIds.length - emailData.length;
+            if (missingCount > 0) {
+                failedCount += missingCount;
+                if (emailData.length > 0) {
+                    failureMessages.add('Email not found or not accessible.');
+                }
+            }
+            this.progress = { ...this.progress, processed: this.progress.processed + batchIds.length };
+        }), Promise.resolve());
+        return { files, failedCount, failureMessages: [...failureMessages], omitted };
+    }
+
+    /**
+     * Build the file of one email in the chosen format; the .eml gets a placeholder file for
+     * each attachment that cannot be included, the readable formats list attachments by name
+     */
+    buildFile(email, loadAttachment) {
+        return this.format === FORMAT_EML
+            ? buildEmailFile(email, loadAttachment, { mode: 'placeholder' })
+            : buildReadableFile(email, this.format, loadAttachment);
+    }
+
     /**
      * Close the action screen or finish the flow
      */
@@ -112,7 +286,7 @@ export default class EmailDownloader extends LightningElement {
             this.dispatchEvent(new CloseActionScreenEvent());
         }
     }
-    
+
     /**
      * Show toast notification
      */
@@ -1,11 +1,128 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import { CloseActionScreenEvent } from 'lightning/actions';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import getEmailsByRecordId from '@salesforce/apex/EmailForwarder.getEmailsByRecordId';
-import forwardSelectedEmails from '@salesforce/apex/EmailForwarder.forwardSelectedEmails';
-import getEmailsForDownload from '@salesforce/apex/EmailForwarder.getEmailsForDownload';
+import searchEmails from '@salesforce/apex/EmailForwarder.searchEmails';
+import getEmailThreads from '@salesforce/apex/EmailForwarder.getEmailThreads';
+import forwardEmails from '@salesforce/apex/EmailForwarder.forwardEmails';
+import queueForwardEmails from '@salesforce/apex/EmailForwarder.queueForwardEmails';
+import getForwardJobStatus from '@salesforce/apex/EmailForwarder.getForwardJobStatus';
+import queueArchiveToRecord from '@salesforce/apex/EmailForwarder.queueArchiveToRecord';
+import getArchiveJobStatus from '@salesforce/apex/EmailForwarder.getArchiveJobStatus';
+import getEmailDownloadData from '@salesforce/apex/EmailForwarder.getEmailDownloadData';
+import getAttachmentContent from '@salesforce/apex/EmailForwarder.getAttachmentContent';
+import getAttachmentSizeEstimates from '@salesforce/apex/EmailForwarder.getAttachmentSizeEstimates';
+import getOmittedAttachmentLinks from '@salesforce/apex/EmailForwarder.getOmittedAttachmentLinks';
 import getUserPermissions from '@salesforce/apex/EmailForwarder.getUserPermissions';
-import { createZipFile, downloadZipFile, reduceErrors } from 'c/emailUtils';
+import getDefaultForwardSubject from '@salesforce/apex/EmailForwarder.getDefaultForwardSubject';
+import getForwardPolicy from '@salesforce/apex/EmailForwarder.getForwardPolicy';
+import getRedactionCounts from '@salesforce/apex/EmailForwarder.getRedactionCounts';
+import getForwardPresets from '@salesforce/apex/EmailForwardPresets.getForwardPresets';
+import importEmail from '@salesforce/apex/EmailImporter.importEmail';
+import importAttachment from '@salesforce/apex/EmailImporter.importAttachment';
+import {
+    buildEmailFile,
+    buildFolderArchiveEntries,
+    bytesToBase64,
+    createMboxFile,
+    createZipFile,
+    downloadBlob,
+    downloadZipFile,
+    formatFileSize,
+    getRecipientPolicyViolation,
+    isValidEmailAddress,
+    MIN_PASSWORD_LENGTH,
+    parseEml,
+    parseEmailAddresses,
+    readZipFile,
+    reduceErrors
+} from 'c/emailUtils';
+
+const DOWNLOAD_FORMAT_EML = 'eml';
+const DOWNLOAD_FORMAT_FOLDERS = 'folders';
+const DOWNLOAD_FORMAT_MBOX = 'mbox';
+
+const DOWNLOAD_FORMAT_OPTIONS = [
+    { label: 'ZIP of .eml files', value: DOWNLOAD_FORMAT_EML },
+    { label: 'ZIP with attachment folders and manifest', value: DOWNLOAD_FORMAT_FOLDERS },
+    { label: 'Single .mbox file (sorted by date)', value: DOWNLOAD_FORMAT_MBOX }
+];
+
+const FORWARD_MODE_EML = 'eml';
+const FORWARD_MODE_INLINE = 'inline';
+
+const FORWARD_MODE_OPTIONS = [
+    { label: 'Attach as .eml files', value: FORWARD_MODE_EML },
+    { label: 'Forward each email inline', value: FORWARD_MODE_INLINE }
+];
+
+// What replaces attachments that are left out (matches the omitted attachment modes in Apex)
+const OMITTED_MODE_SKIP = 'skip';
+const OMITTED_MODE_PLACEHOLDER = 'placeholder';
+const OMITTED_MODE_LINK = 'link';
+
+const OMITTED_MODE_OPTIONS = [
+    { label: 'Leave them out', value: OMITTED_MODE_SKIP },
+    { label: 'Add a placeholder file', value: OMITTED_MODE_PLACEHOLDER },
+    { label: 'Add a placeholder with a public download link', value: OMITTED_MODE_LINK }
+];
+
+// Days a public download link stays valid (matches PUBLIC_LINK_DAYS in Apex)
+const PUBLIC_LINK_DAYS = 7;
+
+// Reason code of attachments over the size limit (the only ones a download link is created for)
+const OMITTED_REASON_TOO_LARGE = 'tooLarge';
+
+const DIRECTION_OPTIONS = [
+    { label: 'All', value: '' },
+    { label: 'Incoming', value: 'incoming' },
+    { label: 'Outgoing', value: 'outgoing' }
+];
+
+// EmailMessage Status picklist values
+const STATUS_OPTIONS = [
+    { label: 'All', value: '' },
+    { label: 'New', value: '0' },
+    { label: 'Read', value: '1' },
+    { label: 'Replied', value: '2' },
+    { label: 'Sent', value: '3' },
+    { label: 'Forwarded', value: '4' },
+    { label: 'Draft', value: '5' }
+];
+
+// Number of emails loaded per page as the user scrolls
+const EMAIL_PAGE_SIZE = 50;
+
+// Delay before searching while the user types
+const SEARCH_DELAY = 300;
+
+// Number of emails requested from Apex per call while downloading
+const DOWNLOAD_BATCH_SIZE = 25;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Number of emails whose attachment sizes are requested per call
+const SIZE_ESTIMATE_BATCH_SIZE = 50;
+
+// Number of emails whose sensitive values are counted per call (text attachments are read to count them)
+const REDACTION_COUNT_BATCH_SIZE = 10;
+
+// Size limit of one forwarded message (matches MAX_TOTAL_ATTACHMENT_SIZE in Apex)
+const MAX_FORWARD_SIZE = 25 * BYTES_PER_MB;
+
+// Maximum recipients per message (matches the Apex limits)
+const MAX_TO_ADDRESSES = 100;
+const MAX_CC_ADDRESSES = 25;
+const MAX_BCC_ADDRESSES = 25;
+
+// Largest attachment of an imported email (matches MAX_ATTACHMENT_SIZE in EmailImporter)
+const MAX_IMPORT_ATTACHMENT_SIZE = 3000000;
+
+// Interval between status checks of a background forwarding job
+const FORWARD_JOB_POLL_INTERVAL = 3000;
+
+const ROW_ACTIONS = [
+    { label: 'Preview', name: 'preview', iconName: 'utility:preview' }
+];
 
 const COLUMNS = [
     { 
@@ -51,9 +168,37 @@ const COLUMNS = [
         sortable: true,
         initialWidth: 100,
         cellAttributes: { alignment: 'center' }
+    },
+    {
+        type: 'action',
+        typeAttributes: { rowActions: ROW_ACTIONS }
     }
 ];
 
+// Conversation view - threads are parent rows and their emails the children (tree grids do not sort)
+const THREAD_COLUMNS = COLUMNS.map(column => ({ ...column, sortable: false }));
+
+// Record each email is related to, shown while the emails of related records are included
+const SOURCE_RECORD_COLUMN = {
+    label: 'Source Record',
+    fieldName: 'sourceRecordUrl',
+    type: 'url',
+    typeAttributes: { label: { fieldName: 'sourceRecordLabel' }, target: '_blank' },
+    initialWidth: 160
+};
+
+// Columns with the source record inserted before the row actions
+const withSourceColumn = (columns) => [...columns.slice(0, -1), SOURCE_RECORD_COLUMN, columns[columns.length - 1]];
+const RELATED_COLUMNS = withSourceColumn(COLUMNS);
+const RELATED_THREAD_COLUMNS = withSourceColumn(THREAD_COLUMNS);
+
+// Add the link to the record an email is related to
+const withSourceLink = (email) => ({
+    ...email,
+    sourceRecordUrl: email.sourceRecordId ? `/${email.sourceRecordId}` : null,
+    sourceRecordLabel: email.sourceRecordName || email.sourceRecordId
+});
+
 export default class EmailForwarderModal extends LightningElement {
     _recordId;
     
@@ -72,21 +217,124 @@ export default class EmailForwarderModal extends LightningElement {
     @track emails = [];
     @track selectedEmailIds = [];
     @track isLoading = true;
+    @track isSearching = false;
+    
+    // Search term and filters applied on the server
+    @track searchTerm = '';
+    @track filterFromDate = null;
+    @track filterToDate = null;
+    @track filterDirection = '';
+    @track filterStatus = '';
+    @track filterHasAttachments = false;
+    
+    // Cursor-based paging
+    @track totalEmailCount = 0;
+    @track hasMoreEmails = false;
+    nextCursor = null;
+    isLoadingMore = false;
+    searchTimer;
+    // Incremented per search so responses to outdated searches are ignored
+    searchVersion = 0;
+    
+    // Conversation view: tree grid rows, expanded threads and selected rows (threads and emails)
+    @track groupByConversation = false;
+    // Also show the emails of child records (Email_Related_Source__mdt), e.g. the Cases of an Account
+    @track includeRelated = false;
+    @track threadRows = [];
+    @track expandedThreadIds = [];
+    @track selectedTreeRowIds = [];
+    
+    // Email shown in the preview pane
+    @track previewEmailId;
+    
+    // Estimated sizes of the selected emails by id, and the attachments the user unticked
+    @track sizeEstimates = {};
+    @track excludedAttachmentIds = [];
+    // Runs the estimate passes one after another
+    sizeEstimateQueue = Promise.resolve();
+    // Attachment sections start collapsed
+    activeAttachmentSections = [];
     @track error = undefined;
     @track sortedBy = 'formattedDate';
     @track sortedDirection = 'desc';
     @track isSending = false;
     @track isDownloading = false;
     
-    // Recipient email - user must enter this
-    @track recipientEmail = '';
+    // Recipients (comma separated, from the recipient pickers) - user must enter at least one To address
+    @track toAddressInput = '';
+    @track ccAddressInput = '';
+    @track bccAddressInput = '';
     @track showRecipientError = false;
     
+    // Subject (defaults from the record until edited) and rich-text cover note
+    @track forwardSubject = '';
+    @track coverNote = '';
+    isSubjectEdited = false;
+    
+    // Admin-defined presets (recipients, subject and cover note templates) and the chosen one
+    @track presets = [];
+    @track selectedPreset = '';
+    
+    // Recipient policy (allowed and blocked domains, recipient limit) and the justification it may require
+    @track forwardPolicy;
+    @track justification = '';
+    
+    // Sensitive data redaction (forced for users with Require_Email_Redaction) and the number
+    // of values that will be redacted per selected email
+    @track redactSensitiveData = false;
+    @track redactAttachments = false;
+    @track redactionRequired = false;
+    @track redactionCounts = {};
+    // Runs the counting passes one after another
+    redactionCountQueue = Promise.resolve();
+    // Incremented when the counts are reset so counts for the old settings are ignored
+    redactionVersion = 0;
+    
+    // Forward mode: .eml attachments in one message, or one conventional forward per email
+    @track forwardMode = FORWARD_MODE_EML;
+    
+    // What replaces attachments that are too large or not accessible
+    @track omittedAttachmentMode = OMITTED_MODE_SKIP;
+    
+    // Background forwarding (split into several messages) and the status of the queued job
+    @track sendInBackground = false;
+    @track forwardJobStatus = undefined;
+    forwardJobId;
+    forwardJobTimer;
+    
+    // Background job that saves the selected emails on the record as a ZIP file, and its status
+    @track isSavingArchive = false;
+    @track archiveJobStatus = undefined;
+    archiveJobId;
+    archiveJobTimer;
+    
     // Feature permissions
     @track canForward = false;
     @track canDownload = false;
     
-    columns = COLUMNS;
+    // Download archive layout
+    @track downloadFormat = DOWNLOAD_FORMAT_EML;
+    
+    // Password that encrypts the downloaded ZIP (required for users with Require_Download_Encryption)
+    @track downloadPassword = '';
+    @track encryptionRequired = false;
+    
+    // Download progress and emails that could not be downloaded
+    @track downloadProgress = { processed: 0, total: 0, bytes: 0 };
+    @track downloadFailures = [];
+    isDownloadCancelled = false;
+    
+    // Import of .eml files as emails on the record, its progress and the files that could not be imported
+    @track canImport = false;
+    @track isImporting = false;
+    @track importProgress = { processed: 0, total: 0 };
+    @track importFailures = [];
+    
+    directionOptions = DIRECTION_OPTIONS;
+    statusOptions = STATUS_OPTIONS;
+    downloadFormatOptions = DOWNLOAD_FORMAT_OPTIONS;
+    forwardModeOptions = FORWARD_MODE_OPTIONS;
+    omittedModeOptions = OMITTED_MODE_OPTIONS;
     
     // Wire adapter to get user permissions
     @wire(getUserPermissions)
@@ -94,6 +342,10 @@ export default class EmailForwarderModal extends LightningElement {
         if (data) {
             this.canForward = !!data.canForward;
             this.canDownload = !!data.canDownload;
+            this.redactionRequired = !!data.redactionRequired;
+            this.encryptionRequired = !!data.encryptionRequired;
+            this.canImport = !!data.canImport;
+            this.loadRedactionCounts();
         } else if (error) {
             console.error('Error loading permissions:', error);
             // Default to false if error
@@ -102,6 +354,35 @@ export default class EmailForwarderModal extends LightningElement {
         }
     }
     
+    // Wire adapter to get the default forwarding subject for the record
+    @wire(getDefaultForwardSubject, { recordId: '$recordId' })
+    wiredDefaultSubject({ data }) {
+        if (data && !this.isSubjectEdited) {
+            this.forwardSubject = data;
+        }
+    }
+    
+    // Wire adapter to get the forwarding presets for the record's object
+    @wire(getForwardPresets, { recordId: '$recordId' })
+    wiredPresets({ data, error }) {
+        if (data) {
+            this.presets = data;
+        } else if (error) {
+            console.error('Error loading forward presets:', error);
+            this.presets = [];
+        }
+    }
+    
+    // Wire adapter to get the recipient policy; the server enforces it on send either way
+    @wire(getForwardPolicy)
+    wiredForwardPolicy({ data, error }) {
+        if (data) {
+            this.forwardPolicy = data;
+        } else if (error) {
+            console.error('Error loading forward policy:', error);
+        }
+    }
+    
     // Computed property to show content (not loading and no error)
     get showContent() {
         return !this.isLoading && !this.error;
@@ -117,6 +398,11 @@ export default class EmailForwarderModal extends LightningElement {
         return this.canDownload;
     }
 
+    // Redaction applies to both forwarding and downloading
+    get showRedactionOptions() {
+        return this.canForward || this.canDownload;
+    }
+
     get hasEmails() {
         return this.emails && this.emails.length > 0;
     }
@@ -124,6 +410,12 @@ export default class EmailForwarderModal extends LightningElement {
     get noEmails() {
         return !this.hasEmails;
     }
+
+    get noEmailsMessage() {
+        return this.includeRelated
+            ? 'There are no email messages associated with this record or its related records.'
+            : 'There are no email messages associated with this record.';
+    }
     
     get hasSelectedEmails() {
         return this.selectedEmailIds && this.selectedEmailIds.length > 0;
@@ -134,7 +426,20 @@ export default class EmailForwarderModal extends LightningElement {
     }
     
     get totalCount() {
-        return this.emails.length;
+        return this.totalEmailCount;
+    }
+
+    get columns() {
+        return this.includeRelated ? RELATED_COLUMNS : COLUMNS;
+    }
+    
+    get threadColumns() {
+        return this.includeRelated ? RELATED_THREAD_COLUMNS : THREAD_COLUMNS;
+    }
+    
+    get hasActiveFilters() {
+        return !!(this.searchTerm || this.filterFromDate || this.filterToDate
+            || this.filterDirection || this.filterStatus || this.filterHasAttachments);
     }
     
     get sendButtonLabel() {
@@ -147,7 +452,234 @@ export default class EmailForwarderModal extends LightningElement {
     }
     
     get isSendDisabled() {
-        return !this.hasSelectedEmails || this.isSending || !this.recipientEmail;
+        return !this.hasSelectedEmails || this.isSending || this.toAddresses.length === 0
+            || this.hasRecipientErrors || this.isForwardJobRunning || !!this.forwardSizeError
+            || this.isJustificationMissing;
+    }
+
+    // Size of each selected email with only its ticked attachments
+    get selectedEmailSizes() {
+        const excluded = new Set(this.excludedAttachmentIds);
+        return this.selectedEmailIds
+            .filter(emailId => this.sizeEstimates[emailId])
+            .map(emailId => {
+                const { baseSize, attachments } = this.sizeEstimates[emailId];
+                const included = attachments.filter(attachment => !excluded.has(attachment.attachmentId));
+                return {
+                    emailId,
+                    subject: this.getEmailSubject(emailId),
+                    attachments,
+                    included,
+                    emlSize: included.reduce((total, attachment) => total + attachment.estimatedSize, baseSize),
+                    attachmentSize: included.reduce((total, attachment) => total + attachment.size, 0)
+                };
+            });
+    }
+
+    // One forward sends everything in one message; background and inline forwards send several
+    get isSingleMessageForward() {
+        return !this.isInlineForward && !this.sendInBackground;
+    }
+
+    // Size of the largest message that will be sent (inline forwards attach the original files)
+    get forwardPayloadSize() {
+        const sizes = this.selectedEmailSizes;
+        if (this.isSingleMessageForward) {
+            return sizes.reduce((total, email) => total + email.emlSize, 0);
+        }
+        return sizes.reduce((largest, email) => Math.max(largest, this.isInlineForward ? email.attachmentSize : email.emlSize), 0);
+    }
+
+    get isOmittedLinkMode() {
+        return this.omittedAttachmentMode === OMITTED_MODE_LINK;
+    }
+
+    get publicLinkNote() {
+        return `Anyone with the link can download the file for ${PUBLIC_LINK_DAYS} days. Each link created is recorded in the audit trail.`;
+    }
+
+    get forwardSizeLabel() {
+        const label = this.isSingleMessageForward ? 'Estimated size' : 'Largest message';
+        return `${label}: ${formatFileSize(this.forwardPayloadSize)} of ${formatFileSize(MAX_FORWARD_SIZE)}`;
+    }
+
+    get forwardSizeProgress() {
+        return Math.min(100, Math.round((this.forwardPayloadSize / MAX_FORWARD_SIZE) * 100));
+    }
+
+    // Explain why the selection cannot be sent as it is
+    get forwardSizeError() {
+        if (this.forwardPayloadSize <= MAX_FORWARD_SIZE) {
+            return undefined;
+        }
+        if (this.isSingleMessageForward) {
+            return `The selected emails are about ${formatFileSize(this.forwardPayloadSize)}, over the 25 MB limit for one message. `
+                + 'Untick attachments, select fewer emails or send in background.';
+        }
+        const largest = this.selectedEmailSizes.find(email =>
+            (this.isInlineForward ? email.attachmentSize : email.emlSize) === this.forwardPayloadSize);
+        return `"${largest.subject}" is about ${formatFileSize(this.forwardPayloadSize)} on its own, over the 25 MB limit. `
+            + 'Untick some of its attachments.';
+    }
+
+    // Selected emails with attachments, shown as expandable sections with a checkbox per file
+    get attachmentSections() {
+        return this.selectedEmailSizes
+            .filter(email => email.attachments.length > 0)
+            .map(email => {
+                const includedIds = new Set(email.included.map(attachment => attachment.attachmentId));
+                return {
+                    emailId: email.emailId,
+                    label: `${email.subject} (${includedIds.size} of ${email.attachments.length} attachment(s), `
+                        + `${formatFileSize(email.attachmentSize)})`,
+                    attachments: email.attachments.map(attachment => ({
+                        attachmentId: attachment.attachmentId,
+                        label: `${attachment.fileName} (${formatFileSize(attachment.size)})`,
+                        isIncluded: includedIds.has(attachment.attachmentId)
+                    }))
+                };
+            });
+    }
+
+    get hasAttachmentSections() {
+        return this.attachmentSections.length > 0;
+    }
+
+    // Attachments of the selected emails that cannot be forwarded or downloaded
+    get omittedAttachments() {
+        return this.selectedEmailIds
+            .filter(emailId => this.sizeEstimates[emailId] && this.sizeEstimates[emailId].omittedAttachments)
+            .flatMap(emailId => this.sizeEstimates[emailId].omittedAttachments.map(omitted => ({
+                key: `${emailId}-${omitted.attachmentId || omitted.fileName}`,
+                label: `${this.getEmailSubject(emailId)}: ${omitted.fileName}`
+                    + (omitted.size != null ? ` (${formatFileSize(omitted.size)})` : '')
+                    + ` - ${omitted.reason}`
+            })));
+    }
+
+    get hasOmittedAttachments() {
+        return this.omittedAttachments.length > 0;
+    }
+
+    get omittedAttachmentSummary() {
+        return `${this.omittedAttachments.length} attachment(s) will be left out`;
+    }
+
+    // Redaction applies when the user ticks it or must redact; required redaction covers text attachments too
+    get isRedacting() {
+        return this.redactSensitiveData || this.redactionRequired;
+    }
+
+    get isRedactingAttachments() {
+        return this.isRedacting && (this.redactAttachments || this.redactionRequired);
+    }
+
+    // Selected emails with sensitive values, and how many each will have redacted
+    get redactionSummaries() {
+        if (!this.isRedacting) {
+            return [];
+        }
+        return this.selectedEmailIds
+            .filter(emailId => this.redactionCounts[emailId] > 0)
+            .map(emailId => ({
+                emailId,
+                label: `${this.getEmailSubject(emailId)}: ${this.redactionCounts[emailId]} value(s)`
+            }));
+    }
+
+    get hasRedactionSummaries() {
+        return this.redactionSummaries.length > 0;
+    }
+
+    get redactionSummary() {
+        const total = this.redactionSummaries.reduce((sum, email) => sum + this.redactionCounts[email.emailId], 0);
+        return `${total} sensitive value(s) will be redacted`;
+    }
+
+    get toAddresses() {
+        return parseEmailAddresses(this.toAddressInput);
+    }
+
+    get ccAddresses() {
+        return parseEmailAddresses(this.ccAddressInput);
+    }
+
+    get bccAddresses() {
+        return parseEmailAddresses(this.bccAddressInput);
+    }
+
+    get toAddressError() {
+        return this.getAddressError(this.toAddresses, MAX_TO_ADDRESSES);
+    }
+
+    get ccAddressError() {
+        return this.getAddressError(this.ccAddresses, MAX_CC_ADDRESSES);
+    }
+
+    get bccAddressError() {
+        return this.getAddressError(this.bccAddresses, MAX_BCC_ADDRESSES);
+    }
+
+    get hasPresets() {
+        return this.presets.length > 0;
+    }
+
+    get presetOptions() {
+        return this.presets.map(preset => ({ label: preset.label, value: preset.name }));
+    }
+
+    // Merge fields are filled in by Apex when the emails are sent
+    get mergeFieldHint() {
+        return /\{!/.test(`${this.forwardSubject} ${this.coverNote}`)
+            ? 'Merge fields such as {!Case.CaseNumber} are filled in from this record when the emails are sent.'
+            : undefined;
+    }
+
+    // Total recipients over the policy limit
+    get recipientCountError() {
+        const maxRecipients = this.forwardPolicy && this.forwardPolicy.maxRecipients;
+        const total = this.toAddresses.length + this.ccAddresses.length + this.bccAddresses.length;
+        return maxRecipients && total > maxRecipients
+            ? `Your organization allows at most ${maxRecipients} recipients per forward (To, CC and BCC).`
+            : undefined;
+    }
+
+    get hasRecipientErrors() {
+        return !!(this.toAddressError || this.ccAddressError || this.bccAddressError || this.recipientCountError);
+    }
+
+    get requiresJustification() {
+        return !!(this.forwardPolicy && this.forwardPolicy.requireJustification);
+    }
+
+    get isJustificationMissing() {
+        return this.requiresJustification && !this.justification.trim();
+    }
+
+    get isForwardJobRunning() {
+        return !!this.forwardJobStatus && !this.forwardJobStatus.isComplete;
+    }
+
+    get forwardJobAlertClass() {
+        const variant = !this.forwardJobStatus.isComplete
+            ? 'slds-alert_info'
+            : this.forwardJobStatus.isSuccess ? 'slds-alert_success' : 'slds-alert_error';
+        return `slds-notify slds-notify_alert ${variant} slds-m-bottom_medium`;
+    }
+
+    get isArchiveJobRunning() {
+        return !!this.archiveJobStatus && !this.archiveJobStatus.isComplete;
+    }
+
+    get archiveJobAlertClass() {
+        const variant = !this.archiveJobStatus.isComplete
+            ? 'slds-alert_info'
+            : this.archiveJobStatus.isSuccess ? 'slds-alert_success' : 'slds-alert_error';
+        return `slds-notify slds-notify_alert ${variant} slds-m-bottom_medium`;
+    }
+
+    get isSaveToRecordDisabled() {
+        return !this.hasSelectedEmails || this.isSavingArchive || this.isArchiveJobRunning;
     }
 
     get downloadButtonLabel() {
@@ -160,7 +692,65 @@ export default class EmailForwarderModal extends LightningElement {
     }
 
     get isDownloadDisabled() {
-        return !this.hasSelectedEmails || this.isDownloading;
+        return !this.hasSelectedEmails || this.isDownloading || !this.isDownloadPasswordValid;
+    }
+
+    // An empty password downloads an unencrypted file, unless encryption is required
+    get isDownloadPasswordValid() {
+        if (!this.downloadPassword) {
+            return !this.encryptionRequired;
+        }
+        return this.downloadPassword.length >= MIN_PASSWORD_LENGTH;
+    }
+
+    get downloadPasswordLabel() {
+        return this.encryptionRequired ? 'ZIP Password' : 'ZIP Password (optional)';
+    }
+
+    get downloadPasswordHint() {
+        if (this.downloadPassword && this.downloadPassword.length < MIN_PASSWORD_LENGTH) {
+            return `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+        }
+        if (this.encryptionRequired) {
+            return 'Your organization requires downloaded emails to be password protected.';
+        }
+        return '';
+    }
+
+    get downloadProgressValue() {
+        const { processed, total } = this.downloadProgress;
+        return total > 0 ? Math.round((processed / total) * 100) : 0;
+    }
+
+    get downloadProgressLabel() {
+        const { processed, total, bytes } = this.downloadProgress;
+        const megabytes = bytes / BYTES_PER_MB;
+        return `${processed} / ${total} emails, ${megabytes < 10 ? megabytes.toFixed(1) : Math.round(megabytes)} MB`;
+    }
+
+    get hasDownloadFailures() {
+        return this.downloadFailures.length > 0;
+    }
+
+    get downloadFailureSummary() {
+        return `${this.downloadFailures.length} email(s) could not be downloaded:`;
+    }
+
+    get importProgressValue() {
+        const { processed, total } = this.importProgress;
+        return total > 0 ? Math.round((processed / total) * 100) : 0;
+    }
+
+    get importProgressLabel() {
+        return `Importing ${this.importProgress.processed} / ${this.importProgress.total} emails`;
+    }
+
+    get hasImportFailures() {
+        return this.importFailures.length > 0;
+    }
+
+    get importFailureSummary() {
+        return `${this.importFailures.length} file(s) could not be fully imported:`;
     }
 
     get modalTitle() {
@@ -171,30 +761,320 @@ export default class EmailForwarderModal extends LightningElement {
     loadEmails() {
         this.isLoading = true;
         this.error = undefined;
-        // Clear existing emails to prevent duplicates
-        this.emails = [];
-        this.selectedEmailIds = [];
+        this.fetchEmails()
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    // Re-run the search after the filters changed, keeping the filter inputs on screen
+    refreshEmails() {
+        this.isSearching = true;
+        this.fetchEmails()
+            .finally(() => {
+                this.isSearching = false;
+            });
+    }
+
+    // Fetch the emails for the current filters as a flat list or grouped into conversations
+    fetchEmails() {
+        return this.groupByConversation ? this.fetchThreads() : this.fetchFirstPage();
+    }
+
+    // Fetch the first page of emails for the current filters
+    async fetchFirstPage() {
+        const version = ++this.searchVersion;
         
-        getEmailsByRecordId({ recordId: this._recordId })
-            .then(data => {
-                this.emails = data ? [...data] : [];
-                this.error = undefined;
-                // Apply initial sorting
-                this.sortData(this.sortedBy, this.sortedDirection);
-            })
-            .catch(error => {
+        try {
+            const page = await searchEmails({
+                recordId: this._recordId,
+                filter: this.buildSearchFilter(),
+                cursor: null,
+                pageSize: EMAIL_PAGE_SIZE
+            });
+            if (version !== this.searchVersion) {
+                return;
+            }
+            // Replace the loaded emails; the selection starts over with the new results
+            this.emails = [];
+            this.selectedEmailIds = [];
+            this.totalEmailCount = page.totalCount || 0;
+            this.applyPage(page);
+            this.error = undefined;
+        } catch (error) {
+            if (version === this.searchVersion) {
                 this.error = reduceErrors(error);
                 this.emails = [];
-            })
-            .finally(() => {
-                this.isLoading = false;
+            }
+        }
+    }
+
+    // Fetch all matching emails grouped into conversations
+    async fetchThreads() {
+        const version = ++this.searchVersion;
+        
+        try {
+            const threads = await getEmailThreads({
+                recordId: this._recordId,
+                filter: this.buildSearchFilter()
+            });
+            if (version !== this.searchVersion) {
+                return;
+            }
+            // Single emails stay plain rows; conversations become expandable parents
+            this.threadRows = threads.map(thread => {
+                const threadEmails = thread.emails.map(withSourceLink);
+                return thread.messageCount > 1
+                    ? {
+                        ...thread,
+                        subject: `${thread.subject} (${thread.messageCount})`,
+                        _children: threadEmails
+                    }
+                    : threadEmails[0];
             });
+            // Keep the flat list for counts, download progress and failure messages
+            this.emails = this.threadRows.flatMap(row => row._children || [row]);
+            this.totalEmailCount = this.emails.length;
+            this.hasMoreEmails = false;
+            this.nextCursor = null;
+            this.expandedThreadIds = [];
+            this.selectedEmailIds = [];
+            this.selectedTreeRowIds = [];
+            this.error = undefined;
+        } catch (error) {
+            if (version === this.searchVersion) {
+                this.error = reduceErrors(error);
+                this.emails = [];
+                this.threadRows = [];
+            }
+        }
+    }
+
+    // Include or leave out the emails of related records
+    handleIncludeRelatedChange(event) {
+        this.includeRelated = event.target.checked;
+        this.refreshEmails();
+    }
+
+    // Switch between the flat list and the conversation view
+    handleGroupByConversationChange(event) {
+        this.groupByConversation = event.target.checked;
+        this.refreshEmails();
+    }
+
+    // Remember expanded threads - collapsed children are missing from tree grid selection events
+    handleThreadToggle(event) {
+        const { name, isExpanded } = event.detail;
+        this.expandedThreadIds = isExpanded
+            ? [...this.expandedThreadIds, name]
+            : this.expandedThreadIds.filter(id => id !== name);
+    }
+
+    handleThreadToggleAll(event) {
+        this.expandedThreadIds = event.detail.isExpanded
+            ? this.threadRows.filter(row => row._children).map(row => row.id)
+            : [];
+    }
+
+    // Handle row selection in the tree grid - selecting a thread selects all of its emails
+    handleThreadRowSelection(event) {
+        const selectedRowIds = new Set(event.detail.selectedRows.map(row => row.id));
+        const previousRowIds = new Set(this.selectedTreeRowIds);
+        const expandedIds = new Set(this.expandedThreadIds);
+        const emailIds = new Set(this.selectedEmailIds);
+        const setSelected = (id, isSelected) => (isSelected ? emailIds.add(id) : emailIds.delete(id));
+
+        this.threadRows.forEach(row => {
+            if (!row._children) {
+                setSelected(row.id, selectedRowIds.has(row.id));
+                return;
+            }
+            const isThreadSelected = selectedRowIds.has(row.id);
+            if (isThreadSelected !== previousRowIds.has(row.id)) {
+                row._children.forEach(child => setSelected(child.id, isThreadSelected));
+            } else if (expandedIds.has(row.id)) {
+                row._children.forEach(child => setSelected(child.id, selectedRowIds.has(child.id)));
+            }
+        });
+
+        this.selectedEmailIds = [...emailIds];
+        this.loadSizeEstimates();
+        this.loadRedactionCounts();
+        // A thread shows as selected while all of its emails are selected
+        const threadIds = this.threadRows
+            .filter(row => row._children && row._children.every(child => emailIds.has(child.id)))
+            .map(row => row.id);
+        this.selectedTreeRowIds = [...threadIds, ...this.selectedEmailIds];
+    }
+
+    // Load the next page when the datatable is scrolled to the bottom
+    async handleLoadMore() {
+        if (!this.hasMoreEmails || this.isLoadingMore) {
+            return;
+        }
+        this.isLoadingMore = true;
+        const version = this.searchVersion;
+
+        try {
+            const page = await searchEmails({
+                recordId: this._recordId,
+                filter: this.buildSearchFilter(),
+                cursor: this.nextCursor,
+                pageSize: EMAIL_PAGE_SIZE
+            });
+            if (version === this.searchVersion) {
+                this.applyPage(page);
+            }
+        } catch (error) {
+            this.hasMoreEmails = false;
+            this.showToast('Error', reduceErrors(error), 'error');
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    // Append a page of emails and remember where the next page starts
+    applyPage(page) {
+        this.emails = [...this.emails, ...(page.emails || []).map(withSourceLink)];
+        this.nextCursor = page.nextCursor;
+        this.hasMoreEmails = !!page.hasMore;
+        // Keep the current sorting for the loaded rows
+        this.sortData(this.sortedBy, this.sortedDirection);
+    }
+
+    // Build the filter sent to Apex
+    buildSearchFilter() {
+        return {
+            searchTerm: this.searchTerm,
+            fromDate: this.filterFromDate || null,
+            toDate: this.filterToDate || null,
+            direction: this.filterDirection,
+            status: this.filterStatus,
+            hasAttachments: this.filterHasAttachments,
+            includeRelated: this.includeRelated
+        };
+    }
+
+    // Handle search input - searches once the user stops typing
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+        clearTimeout(this.searchTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimer = setTimeout(() => {
+            this.refreshEmails();
+        }, SEARCH_DELAY);
+    }
+
+    // Handle changes to the date, direction, status and attachment filters
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        this[field] = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        this.refreshEmails();
     }
 
     // Handle row selection in the datatable
     handleRowSelection(event) {
         const selectedRows = event.detail.selectedRows;
         this.selectedEmailIds = selectedRows.map(row => row.id);
+        this.loadSizeEstimates();
+        this.loadRedactionCounts();
+    }
+
+    // Load attachment sizes for newly selected emails, in batches. Each call queues a pass
+    // behind the running one, which loads what is still missing when it starts
+    loadSizeEstimates() {
+        this.sizeEstimateQueue = this.sizeEstimateQueue.then(() => {
+            const missingIds = this.selectedEmailIds.filter(emailId => !this.sizeEstimates[emailId]);
+            const batches = [];
+            for (let start = 0; start < missingIds.length; start += SIZE_ESTIMATE_BATCH_SIZE) {
+                batches.push(missingIds.slice(start, start + SIZE_ESTIMATE_BATCH_SIZE));
+            }
+            return batches.reduce((previous, batchIds) => previous.then(async () => {
+                const estimates = await getAttachmentSizeEstimates({ emailIds: batchIds });
+                const loaded = { ...this.sizeEstimates };
+                // Emails that are not returned count as having no attachments
+                batchIds.forEach(emailId => {
+                    loaded[emailId] = { baseSize: 0, attachments: [] };
+                });
+                (estimates || []).forEach(estimate => {
+                    loaded[estimate.emailId] = estimate;
+                });
+                this.sizeEstimates = loaded;
+            }), Promise.resolve());
+        }).catch(error => {
+            this.showToast('Error', reduceErrors(error), 'error');
+        });
+        return this.sizeEstimateQueue;
+    }
+
+    // Count the sensitive values of newly selected emails, in batches, while redaction is on.
+    // Each call queues a pass behind the running one; a pass stops when the settings change,
+    // since the change queues a pass of its own
+    loadRedactionCounts() {
+        this.redactionCountQueue = this.redactionCountQueue.then(() => {
+            if (!this.isRedacting) {
+                return undefined;
+            }
+            const version = this.redactionVersion;
+            const includeAttachments = this.isRedactingAttachments;
+            const missingIds = this.selectedEmailIds.filter(emailId => this.redactionCounts[emailId] === undefined);
+            const batches = [];
+            for (let start = 0; start < missingIds.length; start += REDACTION_COUNT_BATCH_SIZE) {
+                batches.push(missingIds.slice(start, start + REDACTION_COUNT_BATCH_SIZE));
+            }
+            return batches.reduce((previous, batchIds) => previous.then(async () => {
+                if (version !== this.redactionVersion) {
+                    return;
+                }
+                const counts = await getRedactionCounts({ emailIds: batchIds, includeAttachments });
+                if (version !== this.redactionVersion) {
+                    return;
+                }
+                const loaded = { ...this.redactionCounts };
+                batchIds.forEach(emailId => {
+                    loaded[emailId] = (counts && counts[emailId]) || 0;
+                });
+                this.redactionCounts = loaded;
+            }), Promise.resolve());
+        }).catch(error => {
+            this.showToast('Error', reduceErrors(error), 'error');
+        });
+        return this.redactionCountQueue;
+    }
+
+    // Handle the redaction checkboxes; counts with and without attachments differ, so they are reloaded
+    handleRedactionChange(event) {
+        const field = event.target.dataset.field;
+        this[field] = event.target.checked;
+        this.redactionCounts = {};
+        this.redactionVersion++;
+        this.loadRedactionCounts();
+    }
+
+    // Tick or untick one attachment for forwarding and downloading
+    handleAttachmentToggle(event) {
+        const attachmentId = event.target.dataset.id;
+        this.excludedAttachmentIds = event.target.checked
+            ? this.excludedAttachmentIds.filter(id => id !== attachmentId)
+            : [...this.excludedAttachmentIds, attachmentId];
+    }
+
+    getEmailSubject(emailId) {
+        const row = this.emails.find(email => email.id === emailId);
+        return row && row.subject ? row.subject : emailId;
+    }
+
+    // Handle row actions in the datatable and tree grid
+    handleRowAction(event) {
+        const { action, row } = event.detail;
+        if (action.name === 'preview') {
+            // A conversation previews its latest email
+            this.previewEmailId = row._children ? row._children[row._children.length - 1].id : row.id;
+        }
+    }
+
+    handleClosePreview() {
+        this.previewEmailId = undefined;
     }
 
     // Handle column sorting
@@ -224,13 +1104,123 @@ export default class EmailForwarderModal extends LightningElement {
         this.emails = parseData;
     }
 
-    // Handle recipient email input change
+    // Describe invalid or too many addresses in a recipient field
+    getAddressError(addresses, maxAddresses) {
+        const invalid = addresses.filter(address => !isValidEmailAddress(address));
+        if (invalid.length > 0) {
+            return `Invalid email address${invalid.length > 1 ? 'es' : ''}: ${invalid.join(', ')}`;
+        }
+        if (addresses.length > maxAddresses) {
+            return `Enter at most ${maxAddresses} addresses.`;
+        }
+        const notAllowed = addresses
+            .map(address => getRecipientPolicyViolation(address, this.forwardPolicy))
+            .filter(violation => violation);
+        if (notAllowed.length > 0) {
+            return `Not allowed by your organization's forwarding policy: ${notAllowed.join(', ')}`;
+        }
+        return undefined;
+    }
+
+    // Handle recipient input changes (To, CC and BCC)
     handleRecipientChange(event) {
-        this.recipientEmail = event.target.value;
+        const field = event.target.dataset.field;
+        this[field] = event.detail.value;
         // Hide error as user types
         this.showRecipientError = false;
     }
 
+    // Fill in the form from the chosen preset; the subject and cover note keep their text if the preset has none
+    handlePresetChange(event) {
+        this.selectedPreset = event.detail.value;
+        const preset = this.presets.find(item => item.name === this.selectedPreset);
+        if (!preset) {
+            return;
+        }
+        this.toAddressInput = preset.toAddresses || '';
+        this.ccAddressInput = preset.ccAddresses || '';
+        this.bccAddressInput = preset.bccAddresses || '';
+        this.showRecipientError = false;
+        if (preset.subjectTemplate) {
+            this.forwardSubject = preset.subjectTemplate;
+            this.isSubjectEdited = true;
+        }
+        if (preset.coverNoteTemplate) {
+            this.coverNote = preset.coverNoteTemplate;
+        }
+    }
+
+    // Handle subject input change
+    handleSubjectChange(event) {
+        this.forwardSubject = event.target.value;
+        this.isSubjectEdited = true;
+    }
+
+    // Handle cover note change
+    handleCoverNoteChange(event) {
+        this.coverNote = event.target.value;
+    }
+
+    // Handle justification change
+    handleJustificationChange(event) {
+        this.justification = event.target.value || '';
+    }
+
+    // Build the forwarding options sent to Apex
+    buildForwardOptions() {
+        return {
+            toAddresses: this.toAddresses,
+            ccAddresses: this.ccAddresses,
+            bccAddresses: this.bccAddresses,
+            subject: this.forwardSubject,
+            coverNote: this.coverNote,
+            mode: this.forwardMode,
+            omittedAttachmentMode: this.omittedAttachmentMode,
+            justification: this.justification.trim(),
+            // Merge fields in the subject and cover note are read from this record
+            recordId: this.recordId,
+            redact: this.isRedacting,
+            redactAttachments: this.isRedactingAttachments,
+            excludedAttachmentIds: this.selectedExcludedAttachmentIds
+        };
+    }
+
+    // Only the unticked attachments of the selected emails
+    get selectedExcludedAttachmentIds() {
+        return this.selectedEmailSizes.flatMap(email => email.attachments
+            .filter(attachment => !email.included.includes(attachment))
+            .map(attachment => attachment.attachmentId));
+    }
+
+    // Handle forward mode selection
+    handleForwardModeChange(event) {
+        this.forwardMode = event.detail.value;
+    }
+
+    // Handle the choice of what replaces omitted attachments
+    handleOmittedModeChange(event) {
+        this.omittedAttachmentMode = event.detail.value;
+    }
+
+    get isInlineForward() {
+        return this.forwardMode === FORWARD_MODE_INLINE;
+    }
+
+    // Handle the background forwarding toggle
+    handleSendInBackgroundChange(event) {
+        this.sendInBackground = event.target.checked;
+    }
+
+    // Handle download format selection
+    handleDownloadFormatChange(event) {
+        this.downloadFormat = event.detail.value;
+    }
+
+    // Handle download password input
+    handleDownloadPasswordChange(event) {
+        this.downloadPassword = event.detail.value;
+    }
+
     // Handle the Send button click
     async handleSend() {
         if (!this.hasSelectedEmails) {
@@ -238,20 +1228,35 @@ export default class EmailForwarderModal extends LightningElement {
             return;
         }
 
-        if (!this.recipientEmail) {
+        if (this.toAddresses.length === 0) {
             this.showRecipientError = true;
             return;
         }
 
+        if (this.hasRecipientErrors) {
+            return;
+        }
+
+        if (this.sendInBackground) {
+            await this.queueForwardJob();
+            return;
+        }
+
         this.isSending = true;
 
         try {
-            const result = await forwardSelectedEmails({ 
+            const result = await forwardEmails({ 
                 emailIds: this.selectedEmailIds, 
-                recipientEmail: this.recipientEmail 
+                options: this.buildForwardOptions()
             });
             
-            this.showToast('Success', result, 'success');
+            const omitted = result.omittedAttachments || [];
+            if (omitted.length > 0) {
+                this.showToast('Success', `${result.message} ${omitted.length} attachment(s) were left out: `
+                    + omitted.map(attachment => `${attachment.fileName} (${attachment.reason})`).join(', '), 'warning');
+            } else {
+                this.showToast('Success', result.message, 'success');
+            }
             this.handleClose();
         } catch (error) {
             this.showToast('Error', reduceErrors(error), 'error');
@@ -260,7 +1265,110 @@ export default class EmailForwarderModal extends LightningElement {
         }
     }
 
-    // Handle the Download button click - downloads selected emails as ZIP
+    // Queue a background forwarding job and start polling its status
+    async queueForwardJob() {
+        this.isSending = true;
+
+        try {
+            this.forwardJobId = await queueForwardEmails({
+                emailIds: this.selectedEmailIds,
+                options: this.buildForwardOptions()
+            });
+            this.forwardJobStatus = { status: 'Queued', isComplete: false, message: 'Forwarding queued...' };
+            this.scheduleForwardJobPoll();
+        } catch (error) {
+            this.showToast('Error', reduceErrors(error), 'error');
+        } finally {
+            this.isSending = false;
+        }
+    }
+
+    // Check the background job again after the poll interval
+    scheduleForwardJobPoll() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.forwardJobTimer = setTimeout(() => {
+            this.pollForwardJob();
+        }, FORWARD_JOB_POLL_INTERVAL);
+    }
+
+    // Refresh the background job status until it completes
+    async pollForwardJob() {
+        try {
+            this.forwardJobStatus = await getForwardJobStatus({ jobId: this.forwardJobId });
+        } catch (error) {
+            this.forwardJobStatus = { status: 'Failed', isComplete: true, isSuccess: false, message: reduceErrors(error) };
+        }
+
+        if (!this.forwardJobStatus.isComplete) {
+            this.scheduleForwardJobPoll();
+        } else if (this.forwardJobStatus.isSuccess) {
+            this.showToast('Success', `${this.forwardJobStatus.message} Recipients: ${this.toAddresses.join(', ')}`, 'success');
+        } else {
+            this.showToast('Error', this.forwardJobStatus.message, 'error');
+        }
+    }
+
+    // Handle the Save to Record button click - saves the selected emails on the record as a ZIP file
+    async handleSaveToRecord() {
+        if (!this.hasSelectedEmails) {
+            this.showToast('Warning', 'Please select at least one email to save.', 'warning');
+            return;
+        }
+
+        this.isSavingArchive = true;
+
+        try {
+            this.archiveJobId = await queueArchiveToRecord({
+                request: {
+                    recordId: this.recordId,
+                    emailIds: this.selectedEmailIds,
+                    excludedAttachmentIds: this.selectedExcludedAttachmentIds,
+                    omittedAttachmentMode: this.omittedAttachmentMode,
+                    redact: this.isRedacting,
+                    redactAttachments: this.isRedactingAttachments
+                }
+            });
+            this.archiveJobStatus = { status: 'Queued', isComplete: false, message: 'Saving the emails to the record...' };
+            this.scheduleArchiveJobPoll();
+        } catch (error) {
+            this.showToast('Error', reduceErrors(error), 'error');
+        } finally {
+            this.isSavingArchive = false;
+        }
+    }
+
+    // Check the archive job again after the poll interval
+    scheduleArchiveJobPoll() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.archiveJobTimer = setTimeout(() => {
+            this.pollArchiveJob();
+        }, FORWARD_JOB_POLL_INTERVAL);
+    }
+
+    // Refresh the archive job status until it completes
+    async pollArchiveJob() {
+        try {
+            this.archiveJobStatus = await getArchiveJobStatus({ jobId: this.archiveJobId });
+        } catch (error) {
+            this.archiveJobStatus = { status: 'Failed', isComplete: true, isSuccess: false, message: reduceErrors(error) };
+        }
+
+        if (!this.archiveJobStatus.isComplete) {
+            this.scheduleArchiveJobPoll();
+        } else {
+            this.showToast(this.archiveJobStatus.isSuccess ? 'Success' : 'Error', this.archiveJobStatus.message,
+                this.archiveJobStatus.isSuccess ? 'success' : 'error');
+        }
+    }
+
+    // Stop polling and pending searches when the modal is closed
+    disconnectedCallback() {
+        clearTimeout(this.forwardJobTimer);
+        clearTimeout(this.archiveJobTimer);
+        clearTimeout(this.searchTimer);
+    }
+
+    // Handle the Download button click - downloads selected emails as ZIP or MBOX
     async handleDownload() {
         if (!this.hasSelectedEmails) {
             this.showToast('Warning', 'Please select at least one email to download.', 'warning');
@@ -268,25 +1376,64 @@ export default class EmailForwarderModal extends LightningElement {
         }
 
         this.isDownloading = true;
+        this.isDownloadCancelled = false;
+        this.downloadFailures = [];
+        this.downloadProgress = { processed: 0, total: this.selectedEmailIds.length, bytes: 0 };
 
         try {
-            // Get email contents from server
-            const emailContents = await getEmailsForDownload({ 
-                emailIds: this.selectedEmailIds 
-            });
-            
-            if (!emailContents || emailContents.length === 0) {
+            // Fetch and build the emails in batches so progress can be shown and one
+            // failing email does not fail the whole download
+            const { emailContents, failures, omittedCount } = await this.fetchEmailContents(this.selectedEmailIds);
+
+            if (this.isDownloadCancelled) {
+                this.showToast('Info', 'Download cancelled.', 'info');
+                return;
+            }
+
+            this.downloadFailures = failures;
+
+            if (emailContents.length === 0) {
                 this.showToast('Warning', 'No email content available for download.', 'warning');
                 return;
             }
 
+            const notes = [];
+            if (failures.length > 0) {
+                notes.push(`${failures.length} failed`);
+            }
+            if (omittedCount > 0) {
+                notes.push(`${omittedCount} attachment(s) left out`);
+            }
+            const failureNote = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+            const variant = notes.length > 0 ? 'warning' : 'success';
+            const password = this.downloadPassword || undefined;
+            const formatLabel = password ? 'encrypted ZIP' : 'ZIP';
+
+            if (this.downloadFormat === DOWNLOAD_FORMAT_MBOX) {
+                const mboxBlob = createMboxFile(emailContents);
+                const mboxFileName = `emails_${new Date().toISOString().slice(0, 10)}.mbox`;
+                if (password) {
+                    // An MBOX file cannot be encrypted itself, so it is downloaded inside an encrypted ZIP
+                    const mboxContent = new Uint8Array(await mboxBlob.arrayBuffer());
+                    downloadZipFile(await createZipFile([{ fileName: mboxFileName, content: mboxContent }], { password }));
+                } else {
+                    await downloadBlob(mboxBlob, mboxFileName);
+                }
+                const mboxLabel = password ? 'MBOX in an encrypted ZIP' : 'MBOX';
+                this.showToast('Success', `Downloaded ${emailContents.length} email(s) as ${mboxLabel}${failureNote}`, variant);
+                return;
+            }
+
             // Create ZIP file using utility
-            const zipBlob = await createZipFile(emailContents);
+            const zipEntries = this.downloadFormat === DOWNLOAD_FORMAT_FOLDERS
+                ? buildFolderArchiveEntries(emailContents)
+                : emailContents;
+            const zipBlob = await createZipFile(zipEntries, { password });
             
             // Download the ZIP file using utility
             downloadZipFile(zipBlob);
             
-            this.showToast('Success', `Downloaded ${emailContents.length} email(s) as ZIP`, 'success');
+            this.showToast('Success', `Downloaded ${emailContents.length} email(s) as ${formatLabel}${failureNote}`, variant);
         } catch (error) {
             this.showToast('Error', reduceErrors(error), 'error');
         } finally {
@@ -294,6 +1441,257 @@ export default class EmailForwarderModal extends LightningElement {
         }
     }
 
+    // Handle the Cancel Download button click - stops after the email in progress
+    handleCancelDownload() {
+        this.isDownloadCancelled = true;
+    }
+
+    // Fetch email data in batches and build the email files, collecting failures
+    async fetchEmailContents(emailIds) {
+        const emailContents = [];
+        const failures = [];
+        let omittedCount = 0;
+        const redact = this.isRedactingAttachments;
+        // Recorded in the audit trail with the user's encryption requirement
+        const encrypted = !!this.downloadPassword;
+        const loadAttachment = (attachmentId) => getAttachmentContent({ attachmentId, redact, encrypted });
+
+        const batches = [];
+        for (let start = 0; start < emailIds.length; start += DOWNLOAD_BATCH_SIZE) {
+            batches.push(emailIds.slice(start, start + DOWNLOAD_BATCH_SIZE));
+        }
+
+        // One batch and one email at a time; a cancelled download skips the rest
+        await batches.reduce((previousBatch, batchIds) => previousBatch.then(async () => {
+            if (this.isDownloadCancelled) {
+                return;
+            }
+            const { emailData, errors } = await this.fetchEmailData(batchIds);
+            const links = await this.fetchOmittedLinks([...emailData.values()]);
+            const omittedOptions = { mode: this.omittedAttachmentMode, links };
+
+            await batchIds.reduce((previousEmail, emailId) => previousEmail.then(async () => {
+                if (this.isDownloadCancelled) {
+                    return;
+                }
+                const email = emailData.get(emailId);
+                if (email) {
+                    try {
+                        const emailFile = await buildEmailFile(this.withoutExcludedAttachments(email), loadAttachment, omittedOptions);
+                        emailContents.push(emailFile);
+                        omittedCount += (email.omittedAttachments || []).length;
+                        this.addDownloadProgress(emailFile.content.length
+                            + emailFile.attachments.reduce((total, attachment) => total + attachment.content.length, 0));
+                    } catch (error) {
+                        failures.push(this.buildDownloadFailure(emailId, reduceErrors(error)));
+                        this.addDownloadProgress(0);
+                    }
+                } else {
+                    failures.push(this.buildDownloadFailure(emailId, errors.get(emailId) || 'Email not found or not accessible.'));
+                    this.addDownloadProgress(0);
+                }
+            }), Promise.resolve());
+        }), Promise.resolve());
+
+        return { emailContents, failures, omittedCount };
+    }
+
+    // Get download links for the oversized attachments of a batch when the user asked for them
+    async fetchOmittedLinks(emails) {
+        if (this.omittedAttachmentMode !== OMITTED_MODE_LINK) {
+            return {};
+        }
+        const attachmentIds = emails.flatMap(email => (email.omittedAttachments || [])
+            .filter(omitted => omitted.reasonCode === OMITTED_REASON_TOO_LARGE)
+            .map(omitted => omitted.attachmentId));
+        if (attachmentIds.length === 0) {
+            return {};
+        }
+        try {
+            return await getOmittedAttachmentLinks({ attachmentIds }) || {};
+        } catch (error) {
+            // Fall back to placeholders without a link
+            console.error('Error creating download links:', error);
+            return {};
+        }
+    }
+
+    // Leave the unticked attachments out of a downloaded email
+    withoutExcludedAttachments(email) {
+        const excluded = new Set(this.excludedAttachmentIds);
+        return {
+            ...email,
+            attachments: (email.attachments || []).filter(attachment => !excluded.has(attachment.attachmentId))
+        };
+    }
+
+    // Fetch the data for a batch of emails; if the batch fails, retry each email on its own
+    async fetchEmailData(emailIds) {
+        const emailData = new Map();
+        const errors = new Map();
+        try {
+            const results = await getEmailDownloadData({ emailIds, redact: this.isRedacting, recordId: this.recordId, encrypted: !!this.downloadPassword });
+            (results || []).forEach(email => emailData.set(email.emailId, email));
+        } catch (batchError) {
+            if (emailIds.length === 1) {
+                errors.set(emailIds[0], reduceErrors(batchError));
+                return { emailData, errors };
+            }
+            await emailIds.reduce((previous, emailId) => previous.then(async () => {
+                if (this.isDownloadCancelled) {
+                    return;
+                }
+                try {
+                    const results = await getEmailDownloadData({ emailIds: [emailId], redact: this.isRedacting, recordId: this.recordId, encrypted: !!this.downloadPassword });
+                    (results || []).forEach(email => emailData.set(email.emailId, email));
+                } catch (error) {
+                    errors.set(emailId, reduceErrors(error));
+                }
+            }), Promise.resolve());
+        }
+        return { emailData, errors };
+    }
+
+    // Count one processed email and its size towards the download progress
+    addDownloadProgress(bytes) {
+        this.downloadProgress = {
+            ...this.downloadProgress,
+            processed: this.downloadProgress.processed + 1,
+            bytes: this.downloadProgress.bytes + bytes
+        };
+    }
+
+    // Describe a failed email by its subject for the failure summary
+    buildDownloadFailure(emailId, message) {
+        return {
+            id: emailId,
+            subject: this.getEmailSubject(emailId),
+            message
+        };
+    }
+
+    // Handle files dropped on (or chosen in) the import field - imports .eml files and the .eml files in ZIPs
+    async handleImportFiles(event) {
+        const files = Array.from(event.detail.files || []);
+        if (files.length === 0) {
+            return;
+        }
+
+        this.isImporting = true;
+        this.importFailures = [];
+        let importedCount = 0;
+        let duplicateCount = 0;
+
+        try {
+            const emailFiles = await this.readImportFiles(files);
+            this.importProgress = { processed: 0, total: emailFiles.length };
+
+            // Import one email at a time so each request carries at most one email or attachment
+            await emailFiles.reduce((previous, emailFile) => previous.then(async () => {
+                try {
+                    const { isDuplicate, skippedAttachments } = await this.importEmailFile(emailFile);
+                    if (isDuplicate) {
+                        duplicateCount++;
+                    } else {
+                        importedCount++;
+                    }
+                    skippedAttachments.forEach(({ fileName, message }) => {
+                        this.addImportFailure(emailFile.fileName, `${fileName} was not imported (${message})`);
+                    });
+                } catch (error) {
+                    this.addImportFailure(emailFile.fileName, reduceErrors(error));
+                }
+                this.importProgress = { ...this.importProgress, processed: this.importProgress.processed + 1 };
+            }), Promise.resolve());
+
+            const notes = [];
+            if (duplicateCount > 0) {
+                notes.push(`${duplicateCount} already on the record`);
+            }
+            if (this.importFailures.length > 0) {
+                notes.push(`${this.importFailures.length} problem(s)`);
+            }
+            const note = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+            const variant = importedCount > 0 && this.importFailures.length === 0 ? 'success' : 'warning';
+            this.showToast(variant === 'success' ? 'Success' : 'Warning', `Imported ${importedCount} email(s)${note}`, variant);
+
+            if (importedCount > 0) {
+                this.refreshEmails();
+            }
+        } catch (error) {
+            this.showToast('Error', reduceErrors(error), 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    // Read the chosen files into { fileName, content } entries, taking the .eml files out of ZIP files
+    async readImportFiles(files) {
+        const emailFiles = [];
+        // One file at a time, in the order they were chosen
+        await files.reduce((previous, file) => previous.then(async () => {
+            try {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (!/\.zip$/i.test(file.name)) {
+                    emailFiles.push({ fileName: file.name, content: bytes });
+                    return;
+                }
+                const entries = readZipFile(bytes).filter(entry => /\.eml$/i.test(entry.fileName));
+                if (entries.length === 0) {
+                    this.addImportFailure(file.name, 'The ZIP file contains no .eml files.');
+                }
+                emailFiles.push(...entries.map(entry => ({
+                    fileName: `${file.name}/${entry.fileName}`,
+                    content: entry.content
+                })));
+            } catch (error) {
+                this.addImportFailure(file.name, reduceErrors(error));
+            }
+        }), Promise.resolve());
+        return emailFiles;
+    }
+
+    // Create the email on the record, then save its attachments on the email one by one
+    async importEmailFile({ fileName, content }) {
+        const { attachments, ...fields } = parseEml(content);
+        const result = await importEmail({
+            recordId: this.recordId,
+            email: { ...fields, fileName: fileName.split('/').pop(), size: content.length }
+        });
+        if (result.isDuplicate) {
+            return { isDuplicate: true, skippedAttachments: [] };
+        }
+
+        const skippedAttachments = [];
+        await attachments.reduce((previous, attachment) => previous.then(async () => {
+            if (attachment.content.length > MAX_IMPORT_ATTACHMENT_SIZE) {
+                skippedAttachments.push({
+                    fileName: attachment.fileName,
+                    message: `over the ${MAX_IMPORT_ATTACHMENT_SIZE / 1000000} MB import limit`
+                });
+                return;
+            }
+            try {
+                await importAttachment({
+                    emailId: result.emailId,
+                    fileName: attachment.fileName,
+                    base64Content: bytesToBase64(attachment.content)
+                });
+            } catch (error) {
+                skippedAttachments.push({ fileName: attachment.fileName, message: reduceErrors(error) });
+            }
+        }), Promise.resolve());
+        return { isDuplicate: false, skippedAttachments };
+    }
+
+    // Add a file to the import failure summary
+    addImportFailure(fileName, message) {
+        this.importFailures = [
+            ...this.importFailures,
+            { id: `${this.importFailures.length}`, fileName, message }
+        ];
+    }
+
     // Handle the Close button click
     handleClose() {
         this.dispatchEvent(new CloseActionScreenEvent());
@@ -0,0 +1,110 @@
+import { LightningElement, api, track } from 'lwc';
+import getEmailPreview from '@salesforce/apex/EmailForwarder.getEmailPreview';
+import { formatFileSize, reduceErrors } from 'c/emailUtils';
+
+/**
+ * Email Preview Component
+ * Shows the body, headers and attachments of one email so users can check it
+ * before forwarding or downloading. Fires a "close" event when dismissed.
+ * 
+ * @author Annindya Das
+ * @version 1.0
+ */
+export default class EmailPreview extends LightningElement {
+    _emailId;
+    
+    @api
+    get emailId() {
+        return this._emailId;
+    }
+    set emailId(value) {
+        if (value && value !== this._emailId) {
+            this._emailId = value;
+            this.loadPreview();
+        }
+    }
+    
+    @track preview;
+    @track isLoading = false;
+    @track error;
+    @track showAllHeaders = false;
+    // Incremented per load so a slow response never replaces a newer email
+    loadVersion = 0;
+    
+    get hasPreview() {
+        return !this.isLoading && !this.error && !!this.preview;
+    }
+    
+    get title() {
+        return this.hasPreview ? this.preview.subject : 'Email Preview';
+    }
+    
+    get hasHtmlBody() {
+        return !!this.preview.htmlBody;
+    }
+    
+    get hasTextBody() {
+        return !this.preview.htmlBody && !!this.preview.textBody;
+    }
+    
+    get fromLabel() {
+        const { fromName, fromAddress } = this.preview;
+        return fromName && fromName !== fromAddress ? `${fromName} <${fromAddress}>` : fromAddress;
+    }
+    
+    // Header names repeat (e.g. Received), so key the rows by position
+    get headers() {
+        return this.preview.headers.map((header, index) => ({ ...header, key: `${index}` }));
+    }
+    
+    get hasAttachments() {
+        return this.preview.attachments.length > 0;
+    }
+    
+    get attachments() {
+        return this.preview.attachments.map(attachment => ({
+            ...attachment,
+            formattedSize: formatFileSize(attachment.size)
+        }));
+    }
+    
+    get attachmentSummary() {
+        const totalSize = this.preview.attachments.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+        return `Attachments (${this.preview.attachments.length}, ${formatFileSize(totalSize)})`;
+    }
+    
+    get headersToggleLabel() {
+        return this.showAllHeaders ? 'Hide all headers' : 'Show all headers';
+    }
+    
+    async loadPreview() {
+        const version = ++this.loadVersion;
+        this.isLoading = true;
+        this.error = undefined;
+        this.showAllHeaders = false;
+        
+        try {
+            const preview = await getEmailPreview({ emailId: this._emailId });
+            if (version === this.loadVersion) {
+                this.preview = preview;
+            }
+        } catch (error) {
+            if (version === this.loadVersion) {
+                this.error = reduceErrors(error);
+                this.preview = undefined;
+            }
+        } finally {
+            if (version === this.loadVersion) {
+                this.isLoading = false;
+            }
+        }
+    }
+    
+    handleToggleHeaders() {
+        this.showAllHeaders = !this.showAllHeaders;
+    }
+    
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
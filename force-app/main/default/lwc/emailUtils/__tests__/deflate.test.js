@@ -0,0 +1,75 @@
+import { deflateRaw } from '../deflate';
+import { inflateRaw } from '../inflate';
+
+const zlib = require('zlib');
+
+const encoder = new TextEncoder();
+
+/**
+ * Pseudo-random bytes from a fixed seed, so failures reproduce
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} The bytes
+ */
+function randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    let seed = 0x2545f491;
+    for (let i = 0; i < length; i++) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        bytes[i] = seed & 0xff;
+    }
+    return bytes;
+}
+
+function sampleText() {
+    const lines = [];
+    for (let i = 0; i < 2000; i++) {
+        lines.push(`Line ${i}: The quick brown fox jumps over the lazy dog. Größe ${i % 7} – naïve café`);
+    }
+    return encoder.encode(lines.join('\r\n'));
+}
+
+const samples = {
+    empty: new Uint8Array(0),
+    'single byte': new Uint8Array([65]),
+    'repeated byte': new Uint8Array(100000).fill(0x61),
+    text: sampleText(),
+    'random bytes': randomBytes(70000)
+};
+
+describe('deflateRaw', () => {
+    it.each(Object.keys(samples))('round-trips %s through inflateRaw', (name) => {
+        const data = samples[name];
+        const deflated = deflateRaw(data);
+        expect(Array.from(inflateRaw(deflated, data.length))).toEqual(Array.from(data));
+    });
+
+    it.each(Object.keys(samples))('writes %s as a stream zlib can inflate', (name) => {
+        const data = samples[name];
+        const inflated = zlib.inflateRawSync(Buffer.from(deflateRaw(data)));
+        expect(Buffer.compare(inflated, Buffer.from(data))).toBe(0);
+    });
+
+    it('compresses repetitive text', () => {
+        const data = samples.text;
+        expect(deflateRaw(data).length).toBeLessThan(data.length / 4);
+    });
+});
+
+describe('inflateRaw', () => {
+    it.each([
+        ['stored', zlib.constants.Z_NO_COMPRESSION],
+        ['fixed and dynamic Huffman', zlib.constants.Z_BEST_COMPRESSION]
+    ])('reads %s blocks written by zlib', (label, level) => {
+        const data = samples.text;
+        const deflated = new Uint8Array(zlib.deflateRawSync(Buffer.from(data), { level }));
+        expect(Array.from(inflateRaw(deflated, data.length))).toEqual(Array.from(data));
+    });
+
+    it('reads a fixed Huffman block written by zlib', () => {
+        const data = encoder.encode('abcabcabcabc');
+        const deflated = new Uint8Array(zlib.deflateRawSync(Buffer.from(data), { strategy: zlib.constants.Z_FIXED }));
+        expect(new TextDecoder().decode(inflateRaw(deflated, data.length))).toBe('abcabcabcabc');
+    });
+});
@@ -0,0 +1,133 @@
+import { buildEml, bytesToBase64 } from '../mimeBuilder';
+import { parseEml } from '../mimeParser';
+
+const encoder = new TextEncoder();
+
+/**
+ * Decode the RFC 2047 base64 encoded-words in an unfolded header value
+ * @param {string} value - The header value
+ * @returns {string} The decoded value
+ */
+function decodeEncodedWords(value) {
+    return value
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (match, text) => Buffer.from(text, 'base64').toString('utf8'));
+}
+
+/**
+ * Split an EML into unfolded headers and the body
+ * @param {string} eml - The EML content
+ * @returns {Object} headers keyed by lower-case name, and body
+ */
+function splitMessage(eml) {
+    const separator = eml.indexOf('\r\n\r\n');
+    const headers = {};
+    for (const line of eml.slice(0, separator).replace(/\r\n[ \t]/g, ' ').split('\r\n')) {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    return { headers, body: eml.slice(separator + 4) };
+}
+
+describe('buildEml', () => {
+    const email = {
+        subject: 'Größe – a subject long enough to need more than one encoded-word when it is folded €€€',
+        fromName: 'Doe, Jane',
+        fromAddress: 'jane@example.com',
+        toAddress: 'bob@example.com; carol@example.com',
+        ccAddress: 'dave@example.com',
+        messageDate: '2024-03-05T10:20:30.000Z',
+        messageIdentifier: '<abc@example.com>',
+        references: '<one@example.com> <two@example.com>',
+        textBody: 'Line one with café and a very long line that quoted-printable has to wrap because it is far longer than seventy-six characters.\nLine =two=',
+        htmlBody: '<p>Größe <img src="cid:logo@example.com"></p>'
+    };
+    const pdf = encoder.encode('%PDF-1.4 binary \u0000\u0001ÿ');
+    const attachments = [
+        {
+            fileName: 'Rechnung für März – eine sehr lange Bezeichnung, die auf mehrere Zeilen umbrochen wird.pdf',
+            contentType: 'application/pdf',
+            base64Content: bytesToBase64(pdf)
+        },
+        { fileName: 'logo.png', contentType: 'image/png', base64Content: bytesToBase64(new Uint8Array([0x89, 0x50, 0x4e, 0x47])), contentId: 'logo@example.com' }
+    ];
+
+    it('writes the envelope headers', () => {
+        const { headers } = splitMessage(buildEml(email, attachments));
+
+        expect(headers.from).toBe('"Doe, Jane" <jane@example.com>');
+        expect(headers.cc).toBe('dave@example.com');
+        expect(headers.date).toBe('Tue, 5 Mar 2024 10:20:30 +0000');
+        expect(headers['message-id']).toBe('<abc@example.com>');
+        expect(headers.references).toBe('<one@example.com> <two@example.com>');
+        expect(headers['mime-version']).toBe('1.0');
+        expect(decodeEncodedWords(headers.subject)).toBe(email.subject);
+        expect(headers.subject.match(/=\?UTF-8\?B\?/g).length).toBeGreaterThan(1);
+    });
+
+    it('writes a message parseEml reads back', () => {
+        const eml = buildEml(email, attachments);
+        const parsed = parseEml(encoder.encode(eml));
+
+        expect(parsed.subject).toBe(email.subject);
+        expect(parsed.fromName).toBe('Doe, Jane');
+        expect(parsed.fromAddress).toBe('jane@example.com');
+        expect(parsed.toAddress).toBe('bob@example.com; carol@example.com');
+        expect(parsed.ccAddress).toBe('dave@example.com');
+        expect(parsed.messageDate).toBe(email.messageDate);
+        expect(parsed.messageIdentifier).toBe('<abc@example.com>');
+        // Text entities end with a line break of their own
+        expect(parsed.textBody.replace(/\r\n/g, '\n')).toBe(email.textBody + '\n');
+        expect(parsed.htmlBody).toBe(email.htmlBody + '\r\n');
+
+        const byName = Object.fromEntries(parsed.attachments.map(a => [a.fileName, a]));
+        expect(Object.keys(byName).sort()).toEqual([attachments[0].fileName, 'logo.png'].sort());
+        expect(Array.from(byName[attachments[0].fileName].content)).toEqual(Array.from(pdf));
+        expect(byName['logo.png'].contentId).toBe('logo@example.com');
+        expect(byName['logo.png'].contentType).toBe('image/png');
+    });
+
+    it('keeps every line within the 998 character limit and ASCII only', () => {
+        const eml = buildEml(email, attachments);
+        for (const line of eml.split('\r\n')) {
+            expect(line.length).toBeLessThanOrEqual(998);
+        }
+        // eslint-disable-next-line no-control-regex
+        expect(/[^\x00-\x7f]/.test(eml)).toBe(false);
+    });
+
+    it('attaches files as base64 with an RFC 2231 file name and keeps cid images related', () => {
+        const eml = buildEml(email, attachments);
+        const { headers, body } = splitMessage(eml);
+        const boundary = headers['content-type'].match(/boundary="([^"]+)"/)[1];
+        const entities = body.split(`--${boundary}`);
+
+        // Preamble, body, one attachment and the closing delimiter
+        expect(entities).toHaveLength(4);
+        expect(entities[3]).toBe('--\r\n');
+        expect(entities[1]).toContain('multipart/related');
+        expect(entities[1]).toContain('Content-ID: <logo@example.com>');
+
+        const attachment = splitMessage(entities[2].replace(/^\r\n/, ''));
+        expect(attachment.headers['content-type']).toMatch(/^application\/pdf;/);
+        expect(attachment.headers['content-disposition']).toMatch(/^attachment; filename\*0\*=UTF-8''/);
+        const fileName = decodeURIComponent(attachment.headers['content-disposition']
+            .match(/filename\*\d+\*=(?:UTF-8'')?[^;]*/g)
+            .map(parameter => parameter.replace(/^filename\*\d+\*=(UTF-8'')?/, ''))
+            .join(''));
+        expect(fileName).toBe(attachments[0].fileName);
+        expect(attachment.headers['content-transfer-encoding']).toBe('base64');
+        expect(Array.from(Buffer.from(attachment.body.replace(/\r\n/g, ''), 'base64'))).toEqual(Array.from(pdf));
+    });
+
+    it('writes a plain message without attachments', () => {
+        const eml = buildEml({ fromAddress: 'a@example.com', toAddress: 'b@example.com', textBody: 'Hi' });
+        const { headers, body } = splitMessage(eml);
+
+        expect(headers.subject).toBe('(No Subject)');
+        expect(headers.from).toBe('a@example.com');
+        expect(headers).not.toHaveProperty('date');
+        expect(headers['content-type']).toMatch(/^text\/plain/);
+        expect(body).toBe('Hi\r\n');
+    });
+});
@@ -0,0 +1,243 @@
+import { parseEml } from 'c/emailUtils';
+
+const decoder = new TextDecoder();
+
+/**
+ * Build message bytes from lines, one byte per character so tests can include raw 8-bit bytes
+ * @param {Array<string>} lines - The message lines
+ * @returns {Uint8Array} The message joined with CRLF
+ */
+function toBytes(lines) {
+    const text = lines.join('\r\n');
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+    }
+    return bytes;
+}
+
+describe('parseEml', () => {
+    it('reads the envelope headers', () => {
+        const email = parseEml(toBytes([
+            'From: "Doe, Jane" <jane@example.com>',
+            'To: bob@example.com, Team: carol@example.com, dave@example.com;',
+            'Cc: (Erin) erin@example.com',
+            'Subject: Quarterly',
+            '  report',
+            'Date: Tue, 05 Mar 2024 10:20:30 +0100 (CET)',
+            'Message-ID: <abc@example.com>',
+            '',
+            'Body'
+        ]));
+
+        expect(email.fromName).toBe('Doe, Jane');
+        expect(email.fromAddress).toBe('jane@example.com');
+        expect(email.toAddress).toBe('bob@example.com; carol@example.com; dave@example.com');
+        expect(email.ccAddress).toBe('erin@example.com');
+        expect(email.subject).toBe('Quarterly report');
+        expect(email.messageDate).toBe('2024-03-05T09:20:30.000Z');
+        expect(email.messageIdentifier).toBe('<abc@example.com>');
+        expect(email.textBody).toBe('Body');
+    });
+
+    it('refuses files without email headers', () => {
+        expect(() => parseEml(toBytes(['just some text', 'on two lines']))).toThrow('The file is not an email message.');
+    });
+
+    describe('RFC 2047 encoded-words', () => {
+        it.each([
+            ['base64', '=?UTF-8?B?R3LDtsOfZQ==?=', 'Größe'],
+            ['Q encoding', '=?iso-8859-1?Q?Caf=E9_cr=E8me?=', 'Café crème'],
+            ['adjacent words', '=?UTF-8?Q?Hello?= =?UTF-8?Q?_world?=', 'Hello world'],
+            ['text around a word', 'Re: =?UTF-8?B?4oKs?= invoice', 'Re: € invoice'],
+            ['a language tag', '=?UTF-8*en?Q?Hi?=', 'Hi'],
+            ['an unknown charset', '=?x-unknown?Q?Hi?=', 'Hi']
+        ])('decodes %s', (label, subject, expected) => {
+            const email = parseEml(toBytes([`Subject: ${subject}`, '', '']));
+            expect(email.subject).toBe(expected);
+        });
+
+        it('decodes display names', () => {
+            const email = parseEml(toBytes(['From: =?UTF-8?Q?Ren=C3=A9e?= <renee@example.com>', '', '']));
+            expect(email.fromName).toBe('Renée');
+        });
+    });
+
+    describe('transfer encodings', () => {
+        it('decodes quoted-printable soft breaks, escapes and trailing spaces', () => {
+            const email = parseEml(toBytes([
+                'Subject: QP',
+                'Content-Type: text/plain; charset=utf-8',
+                'Content-Transfer-Encoding: quoted-printable',
+                '',
+                'Caf=C3=A9 au lait costs 3=3D3 and this line is soft=',
+                'ly broken   ',
+                'Last line'
+            ]));
+            expect(email.textBody).toBe('Café au lait costs 3=3 and this line is softly broken\r\nLast line');
+        });
+
+        it('decodes base64 split over lines', () => {
+            const email = parseEml(toBytes([
+                'Subject: Base64',
+                'Content-Type: text/plain; charset="UTF-8"',
+                'Content-Transfer-Encoding: BASE64',
+                '',
+                'R3LDtsOfZSB1bmQg',
+                'R2V3aWNodA=='
+            ]));
+            expect(email.textBody).toBe('Größe und Gewicht');
+        });
+
+        it('reads undeclared 8-bit text that is not UTF-8 as Windows-1252', () => {
+            const email = parseEml(toBytes(['Subject: Legacy', '', 'Caf\xe9 gr\xfc\xdfe']));
+            expect(email.textBody).toBe('Café grüße');
+        });
+
+        it('reads raw UTF-8 headers', () => {
+            const email = parseEml(toBytes(['Subject: Gr\xc3\xb6\xc3\x9fe', '', '']));
+            expect(email.subject).toBe('Größe');
+        });
+    });
+
+    describe('RFC 2231 parameters', () => {
+        it('joins continuations and decodes extended values', () => {
+            const email = parseEml(toBytes([
+                'Subject: Attachment',
+                'Content-Type: application/pdf',
+                'Content-Disposition: attachment;',
+                ' filename*0*=utf-8\'en\'Gr%C3%B6%C3%9Fe%20;',
+                ' filename*1*=%E2%82%AC;',
+                ' filename*2=".pdf"',
+                'Content-Transfer-Encoding: base64',
+                '',
+                'JVBERg=='
+            ]));
+            expect(email.attachments).toHaveLength(1);
+            expect(email.attachments[0].fileName).toBe('Größe €.pdf');
+            expect(decoder.decode(email.attachments[0].content)).toBe('%PDF');
+        });
+
+        it('decodes a single extended value in another charset', () => {
+            const email = parseEml(toBytes([
+                'Subject: Attachment',
+                'Content-Type: text/csv; name*=iso-8859-1\'\'r%E9sum%E9.csv',
+                '',
+                'a,b'
+            ]));
+            expect(email.attachments[0].fileName).toBe('résumé.csv');
+        });
+
+        it('decodes encoded-words in a quoted name', () => {
+            const email = parseEml(toBytes([
+                'Subject: Attachment',
+                'Content-Type: text/plain; name="=?UTF-8?B?4oKsLnR4dA==?="',
+                '',
+                'x'
+            ]));
+            expect(email.attachments[0].fileName).toBe('€.txt');
+        });
+    });
+
+    describe('multipart messages', () => {
+        it('splits nested parts and keeps the first text and HTML bodies', () => {
+            const email = parseEml(toBytes([
+                'Subject: Nested',
+                'Content-Type: multipart/mixed; boundary="outer"',
+                '',
+                'This is the preamble.',
+                '--outer',
+                'Content-Type: multipart/alternative; boundary=inner',
+                '',
+                '--inner',
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                'Plain body',
+                '--inner',
+                'Content-Type: text/html; charset=utf-8',
+                '',
+                '<p>HTML body</p>',
+                '--inner--',
+                '',
+                '--outer',
+                'Content-Type: image/png',
+                'Content-ID: <logo@example.com>',
+                'Content-Transfer-Encoding: base64',
+                '',
+                'iVBORw==',
+                '--outer',
+                'Content-Type: text/plain',
+                'Content-Disposition: attachment; filename="notes.txt"',
+                '',
+                'Attached notes',
+                '--outer--',
+                'This is the epilogue.'
+            ]));
+
+            expect(email.textBody).toBe('Plain body');
+            expect(email.htmlBody).toBe('<p>HTML body</p>');
+            expect(email.attachments.map(a => [a.fileName, a.contentType, a.contentId])).toEqual([
+                ['attachment-1.png', 'image/png', 'logo@example.com'],
+                ['notes.txt', 'text/plain', '']
+            ]);
+            expect(Array.from(email.attachments[0].content)).toEqual([0x89, 0x50, 0x4e, 0x47]);
+            expect(decoder.decode(email.attachments[1].content)).toBe('Attached notes');
+        });
+
+        it('only splits on a boundary at the start of a line', () => {
+            const email = parseEml(toBytes([
+                'Subject: Boundary in text',
+                'Content-Type: multipart/mixed; boundary=sep',
+                '',
+                '--sep',
+                'Content-Type: text/plain',
+                '',
+                'The boundary is --sep, mentioned mid-line',
+                '--sep',
+                'Content-Type: text/plain; name=second.txt',
+                '',
+                'Second',
+                '--sep--'
+            ]));
+            expect(email.textBody).toBe('The boundary is --sep, mentioned mid-line');
+            expect(email.attachments).toHaveLength(1);
+            expect(decoder.decode(email.attachments[0].content)).toBe('Second');
+        });
+
+        it('ends the last part at the end of the body when the close delimiter is missing', () => {
+            const email = parseEml(toBytes([
+                'Subject: Truncated',
+                'Content-Type: multipart/mixed; boundary=sep',
+                '',
+                '--sep',
+                'Content-Type: text/plain',
+                '',
+                'First',
+                '--sep',
+                'Content-Type: application/octet-stream',
+                '',
+                'unterminated'
+            ]));
+            expect(email.textBody).toBe('First');
+            expect(email.attachments[0].fileName).toBe('attachment-1.bin');
+            expect(decoder.decode(email.attachments[0].content)).toBe('unterminated');
+        });
+
+        it('names attached emails', () => {
+            const email = parseEml(toBytes([
+                'Subject: Forward',
+                'Content-Type: multipart/mixed; boundary=sep',
+                '',
+                '--sep',
+                'Content-Type: message/rfc822',
+                '',
+                'Subject: Inner',
+                '',
+                'Inner body',
+                '--sep--'
+            ]));
+            expect(email.textBody).toBeNull();
+            expect(email.attachments[0].fileName).toBe('attached-email-1.eml');
+        });
+    });
+});
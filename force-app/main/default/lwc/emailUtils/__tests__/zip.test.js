@@ -0,0 +1,328 @@
+import { createZipFile, readZipFile, crc32 } from 'c/emailUtils';
+import { AES_OVERHEAD } from '../zipCrypto';
+
+const nodeCrypto = require('crypto');
+const zlib = require('zlib');
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Read a Blob into bytes; jsdom's Blob has no arrayBuffer()
+ * @param {Blob} blob - The Blob
+ * @returns {Promise<Uint8Array>} The bytes
+ */
+function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+function viewOf(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Parse the local file header at an offset
+ * @param {Uint8Array} bytes - The archive
+ * @param {number} offset - Offset of the header
+ * @returns {Object} The header fields, its extra field and its data
+ */
+function readLocalHeader(bytes, offset) {
+    const view = viewOf(bytes);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const compressedSize = view.getUint32(offset + 18, true);
+    const extraStart = offset + 30 + nameLength;
+    const dataStart = extraStart + extraLength;
+    return {
+        signature: view.getUint32(offset, true),
+        versionNeeded: view.getUint16(offset + 4, true),
+        flags: view.getUint16(offset + 6, true),
+        method: view.getUint16(offset + 8, true),
+        checksum: view.getUint32(offset + 14, true),
+        compressedSize,
+        size: view.getUint32(offset + 22, true),
+        fileName: decoder.decode(bytes.subarray(offset + 30, extraStart)),
+        extra: bytes.subarray(extraStart, dataStart),
+        data: bytes.subarray(dataStart, dataStart + compressedSize),
+        next: dataStart + compressedSize
+    };
+}
+
+/**
+ * Read an entry's content, inflating it with zlib when it is deflated
+ * @param {Object} entry - A header read by readLocalHeader
+ * @returns {Uint8Array} The content
+ */
+function entryContent(entry) {
+    return entry.method === 8 ? new Uint8Array(zlib.inflateRawSync(Buffer.from(entry.data))) : entry.data;
+}
+
+/**
+ * Decrypt a WinZip AES-256 entry with Node's crypto, independently of zipCrypto
+ * @param {Uint8Array} data - Salt, password verifier, ciphertext and authentication code
+ * @param {string} password - The password
+ * @returns {{verified: boolean, authenticated: boolean, plain: Uint8Array}} The checks and the plaintext
+ */
+function decryptAes(data, password) {
+    const salt = data.subarray(0, 16);
+    const verifier = data.subarray(16, 18);
+    const ciphertext = data.subarray(18, data.length - 10);
+    const authCode = data.subarray(data.length - 10);
+    const keys = nodeCrypto.pbkdf2Sync(password, Buffer.from(salt), 1000, 66, 'sha1');
+    const aesKey = keys.subarray(0, 32);
+    const hmacKey = keys.subarray(32, 64);
+
+    // CTR mode with a little-endian counter that starts at 1
+    const cipher = nodeCrypto.createCipheriv('aes-256-ecb', aesKey, null);
+    cipher.setAutoPadding(false);
+    const plain = new Uint8Array(ciphertext.length);
+    for (let block = 0; block * 16 < ciphertext.length; block++) {
+        const counter = Buffer.alloc(16);
+        counter.writeUInt32LE(block + 1, 0);
+        const keystream = cipher.update(counter);
+        for (let i = 0; i < 16 && block * 16 + i < ciphertext.length; i++) {
+            plain[block * 16 + i] = ciphertext[block * 16 + i] ^ keystream[i];
+        }
+    }
+    const mac = nodeCrypto.createHmac('sha1', hmacKey).update(Buffer.from(ciphertext)).digest().subarray(0, 10);
+    return {
+        verified: Buffer.compare(keys.subarray(64, 66), Buffer.from(verifier)) === 0,
+        authenticated: Buffer.compare(mac, Buffer.from(authCode)) === 0,
+        plain
+    };
+}
+
+describe('createZipFile', () => {
+    const longText = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(200);
+
+    it('writes entries with their names, CRC and content', async () => {
+        const bytes = await readBlob(await createZipFile([
+            { fileName: 'first.eml', content: longText, messageDate: '2024-03-05T10:20:30Z' },
+            { fileName: 'Größe.txt', content: 'short' },
+            { fileName: 'binary.bin', content: new Uint8Array([0, 1, 2, 253, 254, 255]) }
+        ]));
+        const first = readLocalHeader(bytes, 0);
+        const second = readLocalHeader(bytes, first.next);
+        const third = readLocalHeader(bytes, second.next);
+
+        expect([first, second, third].map(entry => entry.fileName)).toEqual(['first.eml', 'Größe.txt', 'binary.bin']);
+        for (const entry of [first, second, third]) {
+            expect(entry.signature).toBe(0x04034b50);
+            expect(entry.flags & 0x0800).toBe(0x0800);
+            expect(entry.checksum).toBe(crc32(entryContent(entry)));
+            expect(entryContent(entry)).toHaveLength(entry.size);
+        }
+        expect(decoder.decode(entryContent(first))).toBe(longText);
+        expect(decoder.decode(entryContent(second))).toBe('short');
+        expect(Array.from(entryContent(third))).toEqual([0, 1, 2, 253, 254, 255]);
+    });
+
+    it('writes entries readZipFile reads back', async () => {
+        const blob = await createZipFile([
+            { fileName: 'first.eml', content: longText, messageDate: '2024-03-05T10:20:30Z' },
+            { fileName: 'Größe.txt', content: 'short' },
+            { fileName: 'binary.bin', content: new Uint8Array([0, 1, 2, 253, 254, 255]) }
+        ]);
+        const files = readZipFile(await readBlob(blob));
+
+        expect(files.map(file => file.fileName)).toEqual(['first.eml', 'Größe.txt', 'binary.bin']);
+        expect(decoder.decode(files[0].content)).toBe(longText);
+        expect(decoder.decode(files[1].content)).toBe('short');
+        expect(Array.from(files[2].content)).toEqual([0, 1, 2, 253, 254, 255]);
+    });
+
+    it('deflates compressible entries and stores the others', async () => {
+        const bytes = await readBlob(await createZipFile([
+            { fileName: 'text.txt', content: longText },
+            { fileName: 'tiny.txt', content: 'a' }
+        ]));
+        const first = readLocalHeader(bytes, 0);
+        const second = readLocalHeader(bytes, first.next);
+
+        expect(first.method).toBe(8);
+        expect(first.compressedSize).toBeLessThan(first.size);
+        expect(second.method).toBe(0);
+        expect(decoder.decode(second.data)).toBe('a');
+    });
+
+    it('stamps entries with the message date', async () => {
+        const messageDate = new Date(2024, 2, 5, 10, 20, 30);
+        const bytes = await readBlob(await createZipFile([{ fileName: 'dated.eml', content: 'x', messageDate }]));
+        const view = viewOf(bytes);
+        expect(view.getUint16(10, true)).toBe((10 << 11) | (20 << 5) | (30 >> 1));
+        expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (3 << 5) | 5);
+    });
+
+    it('writes WinZip AES-256 headers and data when a password is given', async () => {
+        const bytes = await readBlob(await createZipFile(
+            [
+                { fileName: 'large.txt', content: longText },
+                { fileName: 'small.txt', content: 'tiny' }
+            ],
+            { password: PASSWORD }
+        ));
+        const large = readLocalHeader(bytes, 0);
+        const small = readLocalHeader(bytes, large.next);
+
+        for (const entry of [large, small]) {
+            const extra = viewOf(entry.extra);
+            expect(entry.versionNeeded).toBe(51);
+            expect(entry.flags & 0x0001).toBe(1);
+            expect(entry.method).toBe(99);
+            expect(extra.getUint16(0, true)).toBe(0x9901);
+            expect(extra.getUint16(2, true)).toBe(7);
+            expect(String.fromCharCode(entry.extra[6], entry.extra[7])).toBe('AE');
+            expect(entry.extra[8]).toBe(3);
+        }
+
+        // AE-1 keeps the CRC; AE-2, used for entries under 20 bytes, zeroes it
+        expect(viewOf(large.extra).getUint16(4, true)).toBe(1);
+        expect(large.checksum).toBe(crc32(encoder.encode(longText)));
+        expect(viewOf(small.extra).getUint16(4, true)).toBe(2);
+        expect(small.checksum).toBe(0);
+
+        // The actual compression method sits in the AES extra field
+        expect(viewOf(large.extra).getUint16(9, true)).toBe(8);
+        expect(viewOf(small.extra).getUint16(9, true)).toBe(0);
+
+        const largeResult = decryptAes(large.data, PASSWORD);
+        expect(largeResult.verified).toBe(true);
+        expect(largeResult.authenticated).toBe(true);
+        expect(decoder.decode(zlib.inflateRawSync(Buffer.from(largeResult.plain)))).toBe(longText);
+
+        const smallResult = decryptAes(small.data, PASSWORD);
+        expect(small.data.length).toBe(4 + AES_OVERHEAD);
+        expect(smallResult.authenticated).toBe(true);
+        expect(decoder.decode(smallResult.plain)).toBe('tiny');
+    });
+
+    it('uses a fresh salt for every entry', async () => {
+        const bytes = await readBlob(await createZipFile(
+            [
+                { fileName: 'a.txt', content: 'same content' },
+                { fileName: 'b.txt', content: 'same content' }
+            ],
+            { password: PASSWORD }
+        ));
+        const first = readLocalHeader(bytes, 0);
+        const second = readLocalHeader(bytes, first.next);
+        expect(Array.from(first.data.subarray(0, 16))).not.toEqual(Array.from(second.data.subarray(0, 16)));
+    });
+
+    it('writes ZIP64 end records when there are 65,535 entries', async () => {
+        const entries = [];
+        for (let i = 0; i < 0xFFFF; i++) {
+            entries.push({ fileName: `${i}.txt`, content: '' });
+        }
+        const bytes = await readBlob(await createZipFile(entries));
+        const view = viewOf(bytes);
+        const endOffset = bytes.length - 22;
+        const locatorOffset = endOffset - 20;
+        const zip64EndOffset = locatorOffset - 56;
+
+        expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+        expect(view.getUint16(endOffset + 10, true)).toBe(0xFFFF);
+        expect(view.getUint32(locatorOffset, true)).toBe(0x07064b50);
+        expect(Number(view.getBigUint64(locatorOffset + 8, true))).toBe(zip64EndOffset);
+        expect(view.getUint32(zip64EndOffset, true)).toBe(0x06064b50);
+        expect(Number(view.getBigUint64(zip64EndOffset + 32, true))).toBe(0xFFFF);
+
+        // Walk the central directory from the offset in the ZIP64 record
+        let pos = Number(view.getBigUint64(zip64EndOffset + 48, true));
+        let count = 0;
+        let lastName = '';
+        while (view.getUint32(pos, true) === 0x02014b50) {
+            const nameLength = view.getUint16(pos + 28, true);
+            lastName = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+            count++;
+        }
+        expect(count).toBe(0xFFFF);
+        expect(lastName).toBe('65534.txt');
+        expect(pos).toBe(zip64EndOffset);
+    }, 60000);
+});
+
+describe('readZipFile', () => {
+    /**
+     * Build a one-entry stored archive whose central directory entry keeps its sizes and
+     * offset in the ZIP64 extra field, as archivers do for large files
+     * @param {Uint8Array} content - The entry content
+     * @returns {Uint8Array} The archive
+     */
+    function buildZip64Archive(content) {
+        const name = encoder.encode('large.txt');
+        const local = new Uint8Array(30 + name.length + content.length);
+        const localView = viewOf(local);
+        localView.setUint32(0, 0x04034b50, true);
+        localView.setUint16(4, 45, true);
+        localView.setUint32(14, crc32(content), true);
+        localView.setUint32(18, content.length, true);
+        localView.setUint32(22, content.length, true);
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+        local.set(content, 30 + name.length);
+
+        const central = new Uint8Array(46 + name.length + 28);
+        const centralView = viewOf(central);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(6, 45, true);
+        centralView.setUint32(16, crc32(content), true);
+        centralView.setUint32(20, 0xFFFFFFFF, true);
+        centralView.setUint32(24, 0xFFFFFFFF, true);
+        centralView.setUint16(28, name.length, true);
+        centralView.setUint16(30, 28, true);
+        centralView.setUint32(42, 0xFFFFFFFF, true);
+        central.set(name, 46);
+        const extraStart = 46 + name.length;
+        centralView.setUint16(extraStart, 0x0001, true);
+        centralView.setUint16(extraStart + 2, 24, true);
+        centralView.setBigUint64(extraStart + 4, BigInt(content.length), true);
+        centralView.setBigUint64(extraStart + 12, BigInt(content.length), true);
+        centralView.setBigUint64(extraStart + 20, 0n, true);
+
+        const end = new Uint8Array(22);
+        const endView = viewOf(end);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, 1, true);
+        endView.setUint16(10, 1, true);
+        endView.setUint32(12, central.length, true);
+        endView.setUint32(16, local.length, true);
+
+        const archive = new Uint8Array(local.length + central.length + end.length);
+        archive.set(local, 0);
+        archive.set(central, local.length);
+        archive.set(end, local.length + central.length);
+        return archive;
+    }
+
+    it('takes sizes and offsets from the ZIP64 extra field', () => {
+        const files = readZipFile(buildZip64Archive(encoder.encode('zip64 content')));
+        expect(files).toHaveLength(1);
+        expect(files[0].fileName).toBe('large.txt');
+        expect(decoder.decode(files[0].content)).toBe('zip64 content');
+    });
+
+    it('refuses encrypted entries', async () => {
+        const bytes = await readBlob(await createZipFile([{ fileName: 'secret.eml', content: 'x' }], { password: PASSWORD }));
+        expect(() => readZipFile(bytes)).toThrow('secret.eml is password protected. Extract the ZIP file first.');
+    });
+
+    it('refuses damaged entries', async () => {
+        const bytes = await readBlob(await createZipFile([{ fileName: 'note.txt', content: 'abc' }]));
+        const dataStart = 30 + 'note.txt'.length;
+        bytes[dataStart] ^= 0xff;
+        expect(() => readZipFile(bytes)).toThrow('note.txt is damaged.');
+    });
+
+    it('refuses files that are not ZIP archives', () => {
+        expect(() => readZipFile(encoder.encode('not a zip file at all, just text'))).toThrow('The file is not a ZIP archive.');
+    });
+});
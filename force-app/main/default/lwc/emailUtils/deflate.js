@@ -0,0 +1,591 @@
+/**
+ * Pure JavaScript DEFLATE (RFC 1951) encoder used for ZIP creation
+ * LZ77 matching with hash chains, emitted as dynamic Huffman blocks
+ * (falls back to stored blocks when data does not compress)
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+const HASH_MASK = HASH_SIZE - 1;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const MAX_STORED_LENGTH = 65535;
+
+// Number of LZ77 symbols collected before a block is flushed
+const BLOCK_SYMBOLS = 32768;
+
+export const END_OF_BLOCK = 256;
+const MAX_CODE_BITS = 15;
+const MAX_CODE_LENGTH_BITS = 7;
+
+export const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+export const LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+export const DIST_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+    8193, 12289, 16385, 24577
+];
+export const DIST_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order in which code length code lengths are written (RFC 1951 3.2.7)
+export const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Lookup tables mapping match lengths and distances to their codes (lazy initialized)
+ */
+let lengthCodeTable = null;
+let distCodeTable = null;
+
+/**
+ * Get or initialize the length/distance code lookup tables
+ */
+function initCodeTables() {
+    if (lengthCodeTable) {
+        return;
+    }
+    lengthCodeTable = new Uint8Array(MAX_MATCH + 1);
+    for (let code = 0; code < LENGTH_BASE.length; code++) {
+        const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+        for (let len = LENGTH_BASE[code]; len < end; len++) {
+            lengthCodeTable[len] = code;
+        }
+    }
+
+    distCodeTable = new Uint8Array(WINDOW_SIZE + 1);
+    for (let code = 0; code < DIST_BASE.length; code++) {
+        const end = code + 1 < DIST_BASE.length ? DIST_BASE[code + 1] : WINDOW_SIZE + 1;
+        for (let dist = DIST_BASE[code]; dist < end; dist++) {
+            distCodeTable[dist] = code;
+        }
+    }
+}
+
+/**
+ * Growable little-endian bit writer (DEFLATE packs bits LSB first)
+ */
+class BitWriter {
+    constructor(initialSize) {
+        this.buffer = new Uint8Array(Math.max(initialSize, 1024));
+        this.length = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    ensureCapacity(extra) {
+        if (this.length + extra > this.buffer.length) {
+            const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + extra));
+            grown.set(this.buffer.subarray(0, this.length));
+            this.buffer = grown;
+        }
+    }
+
+    writeBits(value, bitCount) {
+        this.bitBuffer |= value << this.bitCount;
+        this.bitCount += bitCount;
+        while (this.bitCount >= 8) {
+            this.ensureCapacity(1);
+            this.buffer[this.length++] = this.bitBuffer & 0xFF;
+            this.bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    writeBytes(bytes) {
+        this.ensureCapacity(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    finish() {
+        this.alignToByte();
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Build Huffman code lengths for the given symbol frequencies,
+ * limited to maxBits and always forming a complete prefix code
+ * @param {Uint32Array} freqs - Symbol frequencies
+ * @param {number} maxBits - Maximum code length
+ * @returns {Uint8Array} Code length per symbol (0 for unused symbols)
+ */
+function buildCodeLengths(freqs, maxBits) {
+    const lengths = new Uint8Array(freqs.length);
+    const symbols = [];
+    for (let i = 0; i < freqs.length; i++) {
+        if (freqs[i] > 0) {
+            symbols.push(i);
+        }
+    }
+
+    if (symbols.length === 0) {
+        return lengths;
+    }
+    if (symbols.length === 1) {
+        lengths[symbols[0]] = 1;
+        return lengths;
+    }
+
+    symbols.sort((a, b) => freqs[a] - freqs[b] || a - b);
+
+    // Two-queue Huffman construction: leaves are 0..n-1, internal nodes follow
+    const n = symbols.length;
+    const weight = new Float64Array(2 * n - 1);
+    const parent = new Int32Array(2 * n - 1);
+    for (let i = 0; i < n; i++) {
+        weight[i] = freqs[symbols[i]];
+    }
+
+    let leafIndex = 0;
+    let nodeIndex = n;
+    let next = n;
+    const pickLightest = () => {
+        if (leafIndex < n && (nodeIndex >= next || weight[leafIndex] <= weight[nodeIndex])) {
+            return leafIndex++;
+        }
+        return nodeIndex++;
+    };
+
+    while (next < 2 * n - 1) {
+        const a = pickLightest();
+        const b = pickLightest();
+        weight[next] = weight[a] + weight[b];
+        parent[a] = next;
+        parent[b] = next;
+        next++;
+    }
+
+    // Parents always have higher indices than their children
+    const depth = new Uint8Array(2 * n - 1);
+    for (let i = 2 * n - 3; i >= 0; i--) {
+        depth[i] = Math.min(depth[parent[i]] + 1, 255);
+    }
+
+    let overflow = false;
+    for (let i = 0; i < n; i++) {
+        let len = depth[i];
+        if (len > maxBits) {
+            len = maxBits;
+            overflow = true;
+        }
+        lengths[symbols[i]] = len;
+    }
+
+    if (overflow) {
+        limitCodeLengths(lengths, symbols, maxBits);
+    }
+    return lengths;
+}
+
+/**
+ * Repair code lengths after clamping to maxBits so the Kraft sum is exactly one
+ * @param {Uint8Array} lengths - Code lengths (modified in place)
+ * @param {Array<number>} symbols - Used symbols sorted by ascending frequency
+ * @param {number} maxBits - Maximum code length
+ */
+function limitCodeLengths(lengths, symbols, maxBits) {
+    const capacity = 1 << maxBits;
+    let kraft = 0;
+    for (const sym of symbols) {
+        kraft += 1 << (maxBits - lengths[sym]);
+    }
+
+    // Over-subscribed: lengthen the least frequent codes that still have room
+    while (kraft > capacity) {
+        for (const sym of symbols) {
+            if (lengths[sym] < maxBits) {
+                lengths[sym]++;
+                kraft -= 1 << (maxBits - lengths[sym]);
+                if (kraft <= capacity) {
+                    break;
+                }
+            }
+        }
+    }
+
+    // Under-subscribed: shorten the most frequent codes until the code is complete
+    while (kraft < capacity) {
+        for (let i = symbols.length - 1; i >= 0 && kraft < capacity; i--) {
+            const sym = symbols[i];
+            const gain = 1 << (maxBits - lengths[sym]);
+            if (lengths[sym] > 1 && kraft + gain <= capacity) {
+                lengths[sym]--;
+                kraft += gain;
+            }
+        }
+    }
+}
+
+/**
+ * Assign canonical Huffman codes, bit-reversed for LSB-first output
+ * @param {Uint8Array} lengths - Code length per symbol
+ * @returns {Uint16Array} Reversed code per symbol
+ */
+function buildCodes(lengths) {
+    const blCount = new Uint16Array(MAX_CODE_BITS + 1);
+    for (let i = 0; i < lengths.length; i++) {
+        blCount[lengths[i]]++;
+    }
+    blCount[0] = 0;
+
+    const nextCode = new Uint16Array(MAX_CODE_BITS + 1);
+    let code = 0;
+    for (let bits = 1; bits <= MAX_CODE_BITS; bits++) {
+        code = (code + blCount[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        const len = lengths[i];
+        if (len > 0) {
+            codes[i] = reverseBits(nextCode[len]++, len);
+        }
+    }
+    return codes;
+}
+
+/**
+ * Reverse the lowest bitCount bits of a code
+ */
+function reverseBits(code, bitCount) {
+    let result = 0;
+    for (let i = 0; i < bitCount; i++) {
+        result = (result << 1) | (code & 1);
+        code >>>= 1;
+    }
+    return result;
+}
+
+/**
+ * Run-length encode the literal/length and distance code lengths
+ * using code length symbols 16 (repeat), 17 and 18 (runs of zeros)
+ * @param {Uint8Array} lengths - Concatenated code lengths
+ * @returns {Array<Array<number>>} Pairs of [symbol, extra bits value]
+ */
+function encodeCodeLengths(lengths) {
+    const result = [];
+    let i = 0;
+    while (i < lengths.length) {
+        const len = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === len) {
+            run++;
+        }
+
+        if (len === 0 && run >= 3) {
+            let remaining = run;
+            while (remaining >= 3) {
+                if (remaining >= 11) {
+                    const count = Math.min(remaining, 138);
+                    result.push([18, count - 11]);
+                    remaining -= count;
+                } else {
+                    result.push([17, remaining - 3]);
+                    remaining = 0;
+                }
+            }
+            for (let k = 0; k < remaining; k++) {
+                result.push([0, 0]);
+            }
+        } else if (len !== 0 && run >= 4) {
+            result.push([len, 0]);
+            let remaining = run - 1;
+            while (remaining >= 3) {
+                const count = Math.min(remaining, 6);
+                result.push([16, count - 3]);
+                remaining -= count;
+            }
+            for (let k = 0; k < remaining; k++) {
+                result.push([len, 0]);
+            }
+        } else {
+            for (let k = 0; k < run; k++) {
+                result.push([len, 0]);
+            }
+        }
+        i += run;
+    }
+    return result;
+}
+
+/**
+ * Extra bits carried by each code length symbol
+ */
+function codeLengthExtraBits(symbol) {
+    if (symbol === 16) {
+        return 2;
+    }
+    if (symbol === 17) {
+        return 3;
+    }
+    if (symbol === 18) {
+        return 7;
+    }
+    return 0;
+}
+
+/**
+ * Write a block of LZ77 symbols, choosing the cheaper of a dynamic Huffman
+ * block and stored blocks
+ * @param {BitWriter} writer - Output writer
+ * @param {Object} block - Collected symbols and frequencies for the block
+ * @param {Uint8Array} data - Input data (for stored blocks)
+ * @param {boolean} isFinal - Whether this is the last block
+ */
+function writeBlock(writer, block, data, isFinal) {
+    const { matchLengths, values, count, litFreqs, distFreqs, start, end } = block;
+    litFreqs[END_OF_BLOCK] = 1;
+
+    const litLengths = buildCodeLengths(litFreqs, MAX_CODE_BITS);
+    let distLengths = buildCodeLengths(distFreqs, MAX_CODE_BITS);
+    if (!distLengths.some(len => len > 0)) {
+        // At least one distance code must be described
+        distLengths = new Uint8Array(distFreqs.length);
+        distLengths[0] = 1;
+    }
+
+    let hlit = 286;
+    while (hlit > 257 && litLengths[hlit - 1] === 0) {
+        hlit--;
+    }
+    let hdist = 30;
+    while (hdist > 1 && distLengths[hdist - 1] === 0) {
+        hdist--;
+    }
+
+    const allLengths = new Uint8Array(hlit + hdist);
+    allLengths.set(litLengths.subarray(0, hlit), 0);
+    allLengths.set(distLengths.subarray(0, hdist), hlit);
+    const encodedLengths = encodeCodeLengths(allLengths);
+
+    const clFreqs = new Uint32Array(19);
+    for (const [symbol] of encodedLengths) {
+        clFreqs[symbol]++;
+    }
+    const clLengths = buildCodeLengths(clFreqs, MAX_CODE_LENGTH_BITS);
+    let hclen = 19;
+    while (hclen > 4 && clLengths[CODE_LENGTH_ORDER[hclen - 1]] === 0) {
+        hclen--;
+    }
+
+    // Estimate the dynamic block size in bits
+    let dynamicBits = 3 + 5 + 5 + 4 + hclen * 3;
+    for (const [symbol] of encodedLengths) {
+        dynamicBits += clLengths[symbol] + codeLengthExtraBits(symbol);
+    }
+    for (let sym = 0; sym < hlit; sym++) {
+        if (litFreqs[sym] > 0) {
+            dynamicBits += litFreqs[sym] * (litLengths[sym] + (sym > END_OF_BLOCK ? LENGTH_EXTRA[sym - 257] : 0));
+        }
+    }
+    for (let code = 0; code < hdist; code++) {
+        if (distFreqs[code] > 0) {
+            dynamicBits += distFreqs[code] * (distLengths[code] + DIST_EXTRA[code]);
+        }
+    }
+
+    const rawLength = end - start;
+    const storedBlocks = Math.max(1, Math.ceil(rawLength / MAX_STORED_LENGTH));
+    const storedBits = storedBlocks * (3 + 7 + 32) + rawLength * 8;
+
+    if (storedBits <= dynamicBits) {
+        writeStoredBlocks(writer, data, start, end, isFinal);
+        return;
+    }
+
+    writer.writeBits(isFinal ? 1 : 0, 1);
+    writer.writeBits(2, 2); // Dynamic Huffman
+    writer.writeBits(hlit - 257, 5);
+    writer.writeBits(hdist - 1, 5);
+    writer.writeBits(hclen - 4, 4);
+    for (let i = 0; i < hclen; i++) {
+        writer.writeBits(clLengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+
+    const clCodes = buildCodes(clLengths);
+    for (const [symbol, extra] of encodedLengths) {
+        writer.writeBits(clCodes[symbol], clLengths[symbol]);
+        const extraBits = codeLengthExtraBits(symbol);
+        if (extraBits > 0) {
+            writer.writeBits(extra, extraBits);
+        }
+    }
+
+    const litCodes = buildCodes(litLengths);
+    const distCodes = buildCodes(distLengths);
+    for (let i = 0; i < count; i++) {
+        const matchLength = matchLengths[i];
+        if (matchLength === 0) {
+            const literal = values[i];
+            writer.writeBits(litCodes[literal], litLengths[literal]);
+        } else {
+            const lengthCode = lengthCodeTable[matchLength];
+            const lengthSymbol = 257 + lengthCode;
+            writer.writeBits(litCodes[lengthSymbol], litLengths[lengthSymbol]);
+            if (LENGTH_EXTRA[lengthCode] > 0) {
+                writer.writeBits(matchLength - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+            }
+
+            const distance = values[i];
+            const distCode = distCodeTable[distance];
+            writer.writeBits(distCodes[distCode], distLengths[distCode]);
+            if (DIST_EXTRA[distCode] > 0) {
+                writer.writeBits(distance - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+            }
+        }
+    }
+    writer.writeBits(litCodes[END_OF_BLOCK], litLengths[END_OF_BLOCK]);
+}
+
+/**
+ * Write a range of the input as one or more stored (uncompressed) blocks
+ */
+function writeStoredBlocks(writer, data, start, end, isFinal) {
+    let position = start;
+    do {
+        const chunkEnd = Math.min(position + MAX_STORED_LENGTH, end);
+        const chunkLength = chunkEnd - position;
+        const isLastChunk = chunkEnd === end;
+
+        writer.writeBits(isFinal && isLastChunk ? 1 : 0, 1);
+        writer.writeBits(0, 2); // Stored
+        writer.alignToByte();
+        writer.writeBits(chunkLength & 0xFFFF, 16);
+        writer.writeBits(~chunkLength & 0xFFFF, 16);
+        writer.writeBytes(data.subarray(position, chunkEnd));
+
+        position = chunkEnd;
+    } while (position < end);
+}
+
+/**
+ * Create an empty symbol block starting at the given input position
+ */
+function createBlock(start) {
+    return {
+        matchLengths: new Uint16Array(BLOCK_SYMBOLS),
+        values: new Uint16Array(BLOCK_SYMBOLS),
+        count: 0,
+        litFreqs: new Uint32Array(286),
+        distFreqs: new Uint32Array(30),
+        start,
+        end: start
+    };
+}
+
+/**
+ * Compress data with raw DEFLATE (no zlib/gzip wrapper), as stored in ZIP entries
+ * @param {Uint8Array} data - The data to compress
+ * @returns {Uint8Array} The compressed data
+ */
+export function deflateRaw(data) {
+    initCodeTables();
+
+    const length = data.length;
+    const writer = new BitWriter(Math.ceil(length / 2) + 64);
+
+    if (length === 0) {
+        // Single final fixed-Huffman block holding only end-of-block
+        writer.writeBits(1, 1);
+        writer.writeBits(1, 2);
+        writer.writeBits(0, 7);
+        return writer.finish();
+    }
+
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+    const hashAt = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & HASH_MASK;
+    const insertHash = (i) => {
+        const hash = hashAt(i);
+        prev[i & WINDOW_MASK] = head[hash];
+        head[hash] = i;
+    };
+
+    let block = createBlock(0);
+    let position = 0;
+
+    while (position < length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (position + MIN_MATCH <= length) {
+            const maxLength = Math.min(MAX_MATCH, length - position);
+            let candidate = head[hashAt(position)];
+            let chain = MAX_CHAIN;
+
+            while (candidate >= 0 && position - candidate <= WINDOW_SIZE && chain-- > 0) {
+                if (data[candidate + bestLength] === data[position + bestLength] &&
+                    data[candidate] === data[position]) {
+                    let matchLength = 0;
+                    while (matchLength < maxLength && data[candidate + matchLength] === data[position + matchLength]) {
+                        matchLength++;
+                    }
+                    if (matchLength > bestLength) {
+                        bestLength = matchLength;
+                        bestDistance = position - candidate;
+                        if (matchLength >= maxLength) {
+                            break;
+                        }
+                    }
+                }
+                const older = prev[candidate & WINDOW_MASK];
+                if (older >= candidate) {
+                    break;
+                }
+                candidate = older;
+            }
+            insertHash(position);
+        }
+
+        const index = block.count++;
+        if (bestLength >= MIN_MATCH) {
+            block.matchLengths[index] = bestLength;
+            block.values[index] = bestDistance;
+            block.litFreqs[257 + lengthCodeTable[bestLength]]++;
+            block.distFreqs[distCodeTable[bestDistance]]++;
+
+            // Index the positions covered by the match so later data can refer to them
+            const matchEnd = position + bestLength;
+            for (let i = position + 1; i < matchEnd && i + MIN_MATCH <= length; i++) {
+                insertHash(i);
+            }
+            position = matchEnd;
+        } else {
+            block.matchLengths[index] = 0;
+            block.values[index] = data[position];
+            block.litFreqs[data[position]]++;
+            position++;
+        }
+        block.end = position;
+
+        if (block.count === BLOCK_SYMBOLS && position < length) {
+            writeBlock(writer, block, data, false);
+            block = createBlock(position);
+        }
+    }
+
+    writeBlock(writer, block, data, true);
+    return writer.finish();
+}
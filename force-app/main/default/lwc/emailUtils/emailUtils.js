@@ -6,6 +6,14 @@
  * @version 1.0
  */
 
+import { deflateRaw } from './deflate';
+import { inflateRaw } from './inflate';
+import { buildEml, bytesToBase64 } from './mimeBuilder';
+import { parseEml } from './mimeParser';
+import { encryptAes } from './zipCrypto';
+
+export { buildEml, bytesToBase64, parseEml };
+
 /**
  * CRC-32 table (lazy initialized)
  */
@@ -45,72 +53,261 @@ export function crc32(data) {
     return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
+/**
+ * ZIP format limits above which ZIP64 records are required
+ */
+const ZIP32_MAX_SIZE = 0xFFFFFFFF;
+const ZIP32_MAX_ENTRIES = 0xFFFF;
+
+/**
+ * ZIP compression methods and version numbers
+ */
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const METHOD_AES = 99;
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const VERSION_AES = 51;
+
+/**
+ * General purpose flag bits - bit 0: the entry is encrypted, bit 11: file names are UTF-8 encoded
+ */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * WinZip AES vendor versions: AE-1 keeps the CRC, AE-2 leaves it out. WinZip uses AE-2 for
+ * entries under 20 bytes, whose CRC could give their content away
+ */
+const AES_VENDOR_VERSION_CRC = 1;
+const AES_VENDOR_VERSION_NO_CRC = 2;
+const AES_NO_CRC_MAX_SIZE = 20;
+const AES_STRENGTH_256 = 3;
+
+/**
+ * Minimum length of a download password
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Write a 64-bit little-endian unsigned integer (safe for values up to 2^53)
+ * @param {DataView} view - The target view
+ * @param {number} offset - Byte offset in the view
+ * @param {number} value - The value to write
+ */
+function setUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Read a 64-bit little-endian unsigned integer (safe for values up to 2^53)
+ * @param {DataView} view - The source view
+ * @param {number} offset - Byte offset in the view
+ * @returns {number} The value
+ */
+function getUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2 second resolution)
+ * Falls back to the current time when no valid date is supplied
+ * @param {Date|string|number} value - The date to convert
+ * @returns {{time: number, date: number}} DOS time and date values
+ */
+function toDosDateTime(value) {
+    let date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+        date = new Date();
+    }
+    // DOS dates cannot represent anything before 1980
+    if (date.getFullYear() < 1980) {
+        return { time: 0, date: (1 << 5) | 1 };
+    }
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build the ZIP64 extended information extra field
+ * @param {Array<number>} values - The 64-bit values to include, in spec order
+ * @returns {Uint8Array} The extra field, or an empty array when no values are needed
+ */
+function buildZip64Extra(values) {
+    if (values.length === 0) {
+        return new Uint8Array(0);
+    }
+    const extra = new Uint8Array(4 + values.length * 8);
+    const view = new DataView(extra.buffer);
+    view.setUint16(0, 0x0001, true); // ZIP64 extended information header ID
+    view.setUint16(2, values.length * 8, true); // Size of the data block
+    values.forEach((value, index) => setUint64(view, 4 + index * 8, value));
+    return extra;
+}
+
+/**
+ * Build the WinZip AES extra field of an encrypted entry
+ * @param {number} vendorVersion - AES_VENDOR_VERSION_CRC or AES_VENDOR_VERSION_NO_CRC
+ * @param {number} method - The compression method applied before encryption
+ * @returns {Uint8Array} The extra field
+ */
+function buildAesExtra(vendorVersion, method) {
+    const extra = new Uint8Array(11);
+    const view = new DataView(extra.buffer);
+    view.setUint16(0, 0x9901, true); // WinZip AES header ID
+    view.setUint16(2, 7, true); // Size of the data block
+    view.setUint16(4, vendorVersion, true); // AE-1 or AE-2
+    view.setUint8(6, 0x41); // Vendor ID "AE"
+    view.setUint8(7, 0x45);
+    view.setUint8(8, AES_STRENGTH_256); // Encryption strength
+    view.setUint16(9, method, true); // Actual compression method
+    return extra;
+}
+
+/**
+ * Join two extra fields
+ * @param {Uint8Array} first - The first extra field
+ * @param {Uint8Array} second - The second extra field
+ * @returns {Uint8Array} Both fields in one array
+ */
+function joinExtraFields(first, second) {
+    const joined = new Uint8Array(first.length + second.length);
+    joined.set(first, 0);
+    joined.set(second, first.length);
+    return joined;
+}
+
+/**
+ * Compress file data, keeping it stored when DEFLATE does not make it smaller
+ * @param {Uint8Array} fileData - The uncompressed data
+ * @returns {{method: number, data: Uint8Array}} Compression method and output data
+ */
+function compressEntry(fileData) {
+    const deflated = deflateRaw(fileData);
+    if (deflated.length < fileData.length) {
+        return { method: METHOD_DEFLATE, data: deflated };
+    }
+    return { method: METHOD_STORE, data: fileData };
+}
+
 /**
  * Create a ZIP file from email contents (pure JavaScript, no external libraries)
- * @param {Array} emailContents - Array of objects with fileName and content properties
+ * Entries are DEFLATE compressed, stamped with the email's MessageDate and
+ * written with ZIP64 records when counts, sizes or offsets exceed the classic limits.
+ * With a password every entry is encrypted with WinZip AES-256 (see zipCrypto), which
+ * 7-Zip, WinZip, WinRAR and The Unarchiver open; file names stay readable
+ * @param {Array} emailContents - Array of objects with fileName, content and optional messageDate properties
+ * @param {Object} [options] - password: encrypt the entries with this password
  * @returns {Promise<Blob>} A promise that resolves to a ZIP file Blob
  */
-export async function createZipFile(emailContents) {
+export async function createZipFile(emailContents, { password } = {}) {
     const files = emailContents.map(email => ({
         name: email.fileName,
-        content: email.content
+        content: email.content,
+        date: email.messageDate
     }));
 
+    const encoder = new TextEncoder();
     const zipParts = [];
     const centralDirectory = [];
     let offset = 0;
 
-    for (const file of files) {
-        const encoder = new TextEncoder();
-        const fileData = encoder.encode(file.content);
+    // One entry at a time: each offset depends on the entries written before it
+    await files.reduce((previous, file) => previous.then(async () => {
+        const fileData = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
         const fileName = encoder.encode(file.name);
+        const { method, data: compressedData } = compressEntry(fileData);
+        const { time, date } = toDosDateTime(file.date);
+
+        // Encrypted entries are stored with method 99; the real method goes in the AES extra field
+        let entryData = compressedData;
+        let entryMethod = method;
+        let flags = FLAG_UTF8;
+        let checksum = crc32(fileData);
+        let aesExtra = new Uint8Array(0);
+        if (password) {
+            const vendorVersion = fileData.length < AES_NO_CRC_MAX_SIZE ? AES_VENDOR_VERSION_NO_CRC : AES_VENDOR_VERSION_CRC;
+            entryData = await encryptAes(compressedData, password);
+            entryMethod = METHOD_AES;
+            flags |= FLAG_ENCRYPTED;
+            checksum = vendorVersion === AES_VENDOR_VERSION_NO_CRC ? 0 : checksum;
+            aesExtra = buildAesExtra(vendorVersion, method);
+        }
+
+        const needsZip64Sizes = fileData.length >= ZIP32_MAX_SIZE || entryData.length >= ZIP32_MAX_SIZE;
+        const needsZip64Offset = offset >= ZIP32_MAX_SIZE;
+        // Version 5.1 for AES also covers ZIP64
+        let versionNeeded = needsZip64Sizes || needsZip64Offset ? VERSION_ZIP64 : VERSION_DEFAULT;
+        if (password) {
+            versionNeeded = VERSION_AES;
+        }
         
         // Local file header
-        const localHeader = new Uint8Array(30 + fileName.length);
+        const localExtra = joinExtraFields(
+            buildZip64Extra(needsZip64Sizes ? [fileData.length, entryData.length] : []),
+            aesExtra
+        );
+        const localHeader = new Uint8Array(30 + fileName.length + localExtra.length);
         const view = new DataView(localHeader.buffer);
         
         view.setUint32(0, 0x04034b50, true); // Local file header signature
-        view.setUint16(4, 20, true); // Version needed
-        view.setUint16(6, 0, true); // General purpose bit flag
-        view.setUint16(8, 0, true); // Compression method (store)
-        view.setUint16(10, 0, true); // File last mod time
-        view.setUint16(12, 0, true); // File last mod date
-        view.setUint32(14, crc32(fileData), true); // CRC-32
-        view.setUint32(18, fileData.length, true); // Compressed size
-        view.setUint32(22, fileData.length, true); // Uncompressed size
+        view.setUint16(4, versionNeeded, true); // Version needed
+        view.setUint16(6, flags, true); // General purpose bit flag
+        view.setUint16(8, entryMethod, true); // Compression method
+        view.setUint16(10, time, true); // File last mod time
+        view.setUint16(12, date, true); // File last mod date
+        view.setUint32(14, checksum, true); // CRC-32
+        view.setUint32(18, needsZip64Sizes ? ZIP32_MAX_SIZE : entryData.length, true); // Compressed size
+        view.setUint32(22, needsZip64Sizes ? ZIP32_MAX_SIZE : fileData.length, true); // Uncompressed size
         view.setUint16(26, fileName.length, true); // File name length
-        view.setUint16(28, 0, true); // Extra field length
+        view.setUint16(28, localExtra.length, true); // Extra field length
         localHeader.set(fileName, 30);
+        localHeader.set(localExtra, 30 + fileName.length);
         
         zipParts.push(localHeader);
-        zipParts.push(fileData);
+        zipParts.push(entryData);
         
-        // Central directory entry
-        const centralEntry = new Uint8Array(46 + fileName.length);
+        // Central directory entry - ZIP64 values appear only for the fields that overflow
+        const zip64Values = [];
+        if (fileData.length >= ZIP32_MAX_SIZE) {
+            zip64Values.push(fileData.length);
+        }
+        if (entryData.length >= ZIP32_MAX_SIZE) {
+            zip64Values.push(entryData.length);
+        }
+        if (needsZip64Offset) {
+            zip64Values.push(offset);
+        }
+        const centralExtra = joinExtraFields(buildZip64Extra(zip64Values), aesExtra);
+        const centralEntry = new Uint8Array(46 + fileName.length + centralExtra.length);
         const centralView = new DataView(centralEntry.buffer);
         
         centralView.setUint32(0, 0x02014b50, true); // Central directory signature
-        centralView.setUint16(4, 20, true); // Version made by
-        centralView.setUint16(6, 20, true); // Version needed
-        centralView.setUint16(8, 0, true); // General purpose bit flag
-        centralView.setUint16(10, 0, true); // Compression method
-        centralView.setUint16(12, 0, true); // File last mod time
-        centralView.setUint16(14, 0, true); // File last mod date
-        centralView.setUint32(16, crc32(fileData), true); // CRC-32
-        centralView.setUint32(20, fileData.length, true); // Compressed size
-        centralView.setUint32(24, fileData.length, true); // Uncompressed size
+        centralView.setUint16(4, versionNeeded, true); // Version made by
+        centralView.setUint16(6, versionNeeded, true); // Version needed
+        centralView.setUint16(8, flags, true); // General purpose bit flag
+        centralView.setUint16(10, entryMethod, true); // Compression method
+        centralView.setUint16(12, time, true); // File last mod time
+        centralView.setUint16(14, date, true); // File last mod date
+        centralView.setUint32(16, checksum, true); // CRC-32
+        centralView.setUint32(20, Math.min(entryData.length, ZIP32_MAX_SIZE), true); // Compressed size
+        centralView.setUint32(24, Math.min(fileData.length, ZIP32_MAX_SIZE), true); // Uncompressed size
         centralView.setUint16(28, fileName.length, true); // File name length
-        centralView.setUint16(30, 0, true); // Extra field length
+        centralView.setUint16(30, centralExtra.length, true); // Extra field length
         centralView.setUint16(32, 0, true); // File comment length
         centralView.setUint16(34, 0, true); // Disk number start
         centralView.setUint16(36, 0, true); // Internal file attributes
         centralView.setUint32(38, 0, true); // External file attributes
-        centralView.setUint32(42, offset, true); // Relative offset of local header
+        centralView.setUint32(42, Math.min(offset, ZIP32_MAX_SIZE), true); // Relative offset of local header
         centralEntry.set(fileName, 46);
+        centralEntry.set(centralExtra, 46 + fileName.length);
         
         centralDirectory.push(centralEntry);
-        offset += localHeader.length + fileData.length;
-    }
+        offset += localHeader.length + entryData.length;
+    }), Promise.resolve());
 
     // Calculate central directory size
     let centralDirSize = 0;
@@ -118,6 +315,39 @@ export async function createZipFile(emailContents) {
         centralDirSize += entry.length;
     }
 
+    const needsZip64End = files.length >= ZIP32_MAX_ENTRIES ||
+        centralDirSize >= ZIP32_MAX_SIZE ||
+        offset >= ZIP32_MAX_SIZE;
+    const endRecords = [];
+
+    if (needsZip64End) {
+        // ZIP64 end of central directory record
+        const zip64End = new Uint8Array(56);
+        const zip64View = new DataView(zip64End.buffer);
+
+        zip64View.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory signature
+        setUint64(zip64View, 4, 44); // Size of the remaining record
+        zip64View.setUint16(12, VERSION_ZIP64, true); // Version made by
+        zip64View.setUint16(14, VERSION_ZIP64, true); // Version needed
+        zip64View.setUint32(16, 0, true); // Number of this disk
+        zip64View.setUint32(20, 0, true); // Disk where central directory starts
+        setUint64(zip64View, 24, files.length); // Number of central directory records on this disk
+        setUint64(zip64View, 32, files.length); // Total number of central directory records
+        setUint64(zip64View, 40, centralDirSize); // Size of central directory
+        setUint64(zip64View, 48, offset); // Offset of start of central directory
+
+        // ZIP64 end of central directory locator
+        const zip64Locator = new Uint8Array(20);
+        const locatorView = new DataView(zip64Locator.buffer);
+
+        locatorView.setUint32(0, 0x07064b50, true); // ZIP64 end of central directory locator signature
+        locatorView.setUint32(4, 0, true); // Disk with the ZIP64 end of central directory
+        setUint64(locatorView, 8, offset + centralDirSize); // Offset of the ZIP64 end of central directory
+        locatorView.setUint32(16, 1, true); // Total number of disks
+
+        endRecords.push(zip64End, zip64Locator);
+    }
+
     // End of central directory
     const endOfCentralDir = new Uint8Array(22);
     const endView = new DataView(endOfCentralDir.buffer);
@@ -125,24 +355,526 @@ export async function createZipFile(emailContents) {
     endView.setUint32(0, 0x06054b50, true); // End of central directory signature
     endView.setUint16(4, 0, true); // Number of this disk
     endView.setUint16(6, 0, true); // Disk where central directory starts
-    endView.setUint16(8, files.length, true); // Number of central directory records on this disk
-    endView.setUint16(10, files.length, true); // Total number of central directory records
-    endView.setUint32(12, centralDirSize, true); // Size of central directory
-    endView.setUint32(16, offset, true); // Offset of start of central directory
+    endView.setUint16(8, Math.min(files.length, ZIP32_MAX_ENTRIES), true); // Number of central directory records on this disk
+    endView.setUint16(10, Math.min(files.length, ZIP32_MAX_ENTRIES), true); // Total number of central directory records
+    endView.setUint32(12, Math.min(centralDirSize, ZIP32_MAX_SIZE), true); // Size of central directory
+    endView.setUint32(16, Math.min(offset, ZIP32_MAX_SIZE), true); // Offset of start of central directory
     endView.setUint16(20, 0, true); // Comment length
+    endRecords.push(endOfCentralDir);
 
-    // Combine all parts
-    const allParts = [...zipParts, ...centralDirectory, endOfCentralDir];
-    const totalLength = allParts.reduce((sum, part) => sum + part.length, 0);
-    const zipData = new Uint8Array(totalLength);
-    
-    let position = 0;
-    for (const part of allParts) {
-        zipData.set(part, position);
-        position += part.length;
+    // Combine all parts - the Blob holds them without copying into one large array
+    return new Blob([...zipParts, ...centralDirectory, ...endRecords], { type: 'application/zip' });
+}
+
+/**
+ * Read the ZIP64 values of a central directory entry, which are present only for the fields that overflow
+ * @param {DataView} view - View over the archive
+ * @param {number} start - Offset of the entry's extra field
+ * @param {number} length - Length of the extra field
+ * @param {{size: number, compressedSize: number, localOffset: number}} entry - Values from the entry; updated in place
+ */
+function readZip64Extra(view, start, length, entry) {
+    for (let pos = start; pos + 4 <= start + length;) {
+        const headerId = view.getUint16(pos, true);
+        const dataSize = view.getUint16(pos + 2, true);
+        if (headerId === 0x0001) {
+            let valuePos = pos + 4;
+            for (const field of ['size', 'compressedSize', 'localOffset']) {
+                if (entry[field] === ZIP32_MAX_SIZE && valuePos + 8 <= pos + 4 + dataSize) {
+                    entry[field] = getUint64(view, valuePos);
+                    valuePos += 8;
+                }
+            }
+            return;
+        }
+        pos += 4 + dataSize;
+    }
+}
+
+/**
+ * Read the files in a ZIP archive (stored or DEFLATE compressed, with ZIP64 records)
+ * Directories are skipped; encrypted entries cannot be read
+ * @param {Uint8Array} bytes - The ZIP file
+ * @returns {Array<{fileName: string, content: Uint8Array}>} The files in the archive
+ */
+export function readZipFile(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record is followed by a comment of up to 65,535 bytes
+    let endOffset = -1;
+    for (let pos = bytes.length - 22; pos >= Math.max(0, bytes.length - 22 - 0xFFFF); pos--) {
+        if (view.getUint32(pos, true) === 0x06054b50) {
+            endOffset = pos;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('The file is not a ZIP archive.');
+    }
+    let entryCount = view.getUint16(endOffset + 10, true);
+    let centralOffset = view.getUint32(endOffset + 16, true);
+    if (endOffset >= 20 && view.getUint32(endOffset - 20, true) === 0x07064b50) {
+        const zip64EndOffset = getUint64(view, endOffset - 12);
+        entryCount = getUint64(view, zip64EndOffset + 32);
+        centralOffset = getUint64(view, zip64EndOffset + 48);
+    }
+
+    const decoder = new TextDecoder();
+    const files = [];
+    let pos = centralOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014b50) {
+            throw new Error('The ZIP archive is damaged.');
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const checksum = view.getUint32(pos + 16, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const fileName = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        const entry = {
+            compressedSize: view.getUint32(pos + 20, true),
+            size: view.getUint32(pos + 24, true),
+            localOffset: view.getUint32(pos + 42, true)
+        };
+        readZip64Extra(view, pos + 46 + nameLength, extraLength, entry);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (fileName.endsWith('/')) {
+            continue;
+        }
+        if (flags & FLAG_ENCRYPTED) {
+            throw new Error(`${fileName} is password protected. Extract the ZIP file first.`);
+        }
+        const dataStart = entry.localOffset + 30
+            + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+        let content;
+        if (method === METHOD_STORE) {
+            content = data;
+        } else if (method === METHOD_DEFLATE) {
+            content = inflateRaw(data, entry.size);
+        } else {
+            throw new Error(`${fileName} uses a compression method that is not supported.`);
+        }
+        if (crc32(content) !== checksum) {
+            throw new Error(`${fileName} is damaged.`);
+        }
+        files.push({ fileName, content });
+    }
+    return files;
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - The base64 encoded data
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64 || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// What replaces attachments Apex left out (matches the omitted attachment modes in EmailForwarder)
+const OMITTED_MODE_PLACEHOLDER = 'placeholder';
+const OMITTED_MODE_LINK = 'link';
+
+/**
+ * Encode text as UTF-8 base64
+ * @param {string} text - The text to encode
+ * @returns {string} The base64 string
+ */
+function textToBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Build the text file put in place of an omitted attachment (mirrors buildOmittedPlaceholder in Apex)
+ * @param {Object} omitted - Omitted attachment with fileName, size and reason
+ * @param {string} [link] - Public download link for the file
+ * @returns {Object} Attachment with fileName, contentType, size and base64Content
+ */
+function buildOmittedPlaceholder(omitted, link) {
+    let text = `The attachment "${omitted.fileName}"`
+        + (omitted.size != null ? ` (${formatFileSize(omitted.size)})` : '')
+        + ' was left out of this email.\r\n'
+        + `Reason: ${omitted.reason}\r\n`;
+    if (link) {
+        text += `Download it here: ${link}\r\n`;
     }
+    const base64Content = textToBase64(text);
+    return {
+        fileName: `${omitted.fileName} (omitted).txt`,
+        contentType: 'text/plain',
+        size: new TextEncoder().encode(text).length,
+        base64Content
+    };
+}
+
+/**
+ * Build an EML file in the browser from the structured email data returned by
+ * getEmailDownloadData, fetching attachment content one file at a time
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @param {Function} loadAttachment - Async callback returning the base64 content for an attachmentId
+ * @param {Object} [omittedOptions] - What replaces attachments Apex left out: mode ('skip',
+ *     'placeholder' or 'link') and links (download link by attachmentId)
+ * @returns {Promise<Object>} Email file with fileName, content, messageDate, the email
+ *     metadata and its attachments (fileName, size and content bytes)
+ */
+export async function buildEmailFile(email, loadAttachment, { mode, links = {} } = {}) {
+    const attachments = await (email.attachments || []).reduce(
+        (previous, attachment) => previous.then(async loaded => {
+            const base64Content = await loadAttachment(attachment.attachmentId);
+            loaded.push({ ...attachment, base64Content });
+            return loaded;
+        }),
+        Promise.resolve([])
+    );
+    if (mode === OMITTED_MODE_PLACEHOLDER || mode === OMITTED_MODE_LINK) {
+        for (const omitted of email.omittedAttachments || []) {
+            attachments.push(buildOmittedPlaceholder(omitted, mode === OMITTED_MODE_LINK ? links[omitted.attachmentId] : null));
+        }
+    }
+
+    return {
+        fileName: email.fileName,
+        content: buildEml(email, attachments),
+        messageDate: email.messageDate,
+        emailId: email.emailId,
+        subject: email.subject,
+        fromAddress: email.fromAddress,
+        toAddress: email.toAddress,
+        attachments: attachments.map(attachment => ({
+            fileName: attachment.fileName,
+            size: attachment.size,
+            content: base64ToBytes(attachment.base64Content)
+        }))
+    };
+}
+
+// Readable file formats built by buildReadableFile
+const READABLE_FORMAT_HTML = 'html';
+const READABLE_FORMAT_TEXT = 'text';
+
+// Named character references decoded when converting HTML bodies to text
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Styles of the standalone HTML rendering; the policy blocks scripts and remote content of the email
+const READABLE_HTML_HEAD = '<meta charset="utf-8">'
+    + '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; img-src data:; style-src \'unsafe-inline\'">'
+    + '<style>body{font-family:Arial,Helvetica,sans-serif;margin:24px;color:#181818}'
+    + '.email-headers{border-collapse:collapse;margin-bottom:16px}'
+    + '.email-headers th{text-align:left;vertical-align:top;padding:2px 16px 2px 0;color:#5c5c5c}'
+    + '.email-body{border-top:1px solid #c9c9c9;padding-top:16px}'
+    + '.email-body pre{white-space:pre-wrap;font-family:inherit}'
+    + '.email-attachments{border-top:1px solid #c9c9c9;margin-top:24px}</style>';
 
-    return new Blob([zipData], { type: 'application/zip' });
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} value - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert an HTML body to plain text: block elements become line breaks, tags are dropped
+ * and character references decoded
+ * @param {string} html - The HTML body
+ * @returns {string} The text
+ */
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<(head|style|script)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|tr|table|blockquote|ul|ol)\s*>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+            if (name[0] === '#') {
+                const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : reference;
+            }
+            return HTML_ENTITIES[name.toLowerCase()] ?? reference;
+        })
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * The header lines shown at the top of a readable file
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @returns {Array<Array<string>>} Label and value pairs (empty values left out)
+ */
+function getReadableHeaders(email) {
+    const messageDate = email.messageDate ? new Date(email.messageDate) : null;
+    const from = email.fromName && email.fromAddress
+        ? `${email.fromName} <${email.fromAddress}>`
+        : email.fromAddress || email.fromName;
+    return [
+        ['From', from],
+        ['To', email.toAddress],
+        ['Cc', email.ccAddress],
+        ['Bcc', email.bccAddress],
+        ['Date', messageDate && !isNaN(messageDate.getTime()) ? messageDate.toUTCString() : ''],
+        ['Subject', email.subject || '(No Subject)']
+    ].filter(([, value]) => value);
+}
+
+/**
+ * Describe the email's attachments, one line each, including the ones Apex left out
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @returns {Array<string>} The attachment descriptions
+ */
+function describeAttachments(email) {
+    return (email.attachments || [])
+        .filter(attachment => !attachment.contentId)
+        .map(attachment => `${attachment.fileName} (${formatFileSize(attachment.size)})`)
+        .concat((email.omittedAttachments || []).map(omitted => `${omitted.fileName} (left out: ${omitted.reason})`));
+}
+
+/**
+ * Build a standalone HTML rendering of an email: a header table, the body with its inline
+ * images embedded as data URIs, and the names of its attachments
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @param {Object} inlineImages - Data URI by Content-ID
+ * @returns {string} The HTML document
+ */
+function buildHtmlDocument(email, inlineImages) {
+    const headerRows = getReadableHeaders(email)
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('');
+    // Meta refreshes and base URLs in the email would still navigate despite the content policy
+    const body = email.htmlBody
+        ? email.htmlBody
+            .replace(/<(meta|base)\b[^>]*>/gi, '')
+            .replace(/cid:([^"'\s)>]+)/gi, (reference, contentId) => inlineImages[contentId] || reference)
+        : `<pre>${escapeHtml(email.textBody)}</pre>`;
+    const attachments = describeAttachments(email);
+    const attachmentList = attachments.length > 0
+        ? '<div class="email-attachments"><h2>Attachments</h2><ul>'
+            + attachments.map(description => `<li>${escapeHtml(description)}</li>`).join('')
+            + '</ul></div>'
+        : '';
+
+    return '<!DOCTYPE html>\n'
+        + `<html><head>${READABLE_HTML_HEAD}<title>${escapeHtml(email.subject || '(No Subject)')}</title></head>\n`
+        + `<body><table class="email-headers">${headerRows}</table>\n`
+        + `<div class="email-body">${body}</div>\n`
+        + `${attachmentList}</body></html>\n`;
+}
+
+/**
+ * Build a plain text rendering of an email: header lines, the body (converted from HTML
+ * when the email has no text body) and the names of its attachments
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @returns {string} The text, with CRLF line endings
+ */
+function buildTextDocument(email) {
+    const lines = getReadableHeaders(email).map(([label, value]) => `${label}: ${value}`);
+    lines.push('', email.textBody ? email.textBody.replace(/\r\n/g, '\n') : htmlToText(email.htmlBody));
+    const attachments = describeAttachments(email);
+    if (attachments.length > 0) {
+        lines.push('', 'Attachments:', ...attachments.map(description => `- ${description}`));
+    }
+    return lines.join('\n').replace(/\n/g, '\r\n') + '\r\n';
+}
+
+/**
+ * Build a readable file of an email for reviewers without a mail client: a standalone HTML
+ * file ('html') or a plain text file ('text'). Attachments are listed by name; only the inline
+ * images of the HTML rendering are loaded
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @param {string} format - 'html' or 'text'
+ * @param {Function} loadAttachment - Async callback returning the base64 content for an attachmentId
+ * @returns {Promise<Object>} File with fileName, content and messageDate
+ */
+export async function buildReadableFile(email, format, loadAttachment) {
+    let content;
+    if (format === READABLE_FORMAT_HTML) {
+        const inlineImages = {};
+        const images = email.htmlBody ? (email.attachments || []).filter(attachment => attachment.contentId) : [];
+        await images.reduce((previous, attachment) => previous.then(async () => {
+            const base64Content = await loadAttachment(attachment.attachmentId);
+            inlineImages[attachment.contentId] = `data:${attachment.contentType || 'application/octet-stream'};base64,${base64Content}`;
+        }), Promise.resolve());
+        content = buildHtmlDocument(email, inlineImages);
+    } else if (format === READABLE_FORMAT_TEXT) {
+        content = buildTextDocument(email);
+    } else {
+        throw new Error(`Unknown file format: ${format}`);
+    }
+
+    const extension = format === READABLE_FORMAT_HTML ? '.html' : '.txt';
+    return {
+        fileName: email.fileName.replace(/\.eml$/i, '') + extension,
+        content,
+        messageDate: email.messageDate
+    };
+}
+
+/**
+ * Build CSV text from rows of values (RFC 4180 quoting, CRLF line endings)
+ * A UTF-8 byte order mark is prepended so spreadsheet tools detect the encoding
+ * @param {Array<Array<*>>} rows - Rows of cell values; the first row is the header
+ * @returns {string} The CSV content
+ */
+export function buildCsv(rows) {
+    const escapeCell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Make a file or folder name safe for ZIP entries
+ * @param {string} name - The original name
+ * @param {string} fallback - Name to use when nothing usable remains
+ * @returns {string} The sanitized name
+ */
+function sanitizeEntryName(name, fallback) {
+    // eslint-disable-next-line no-control-regex
+    const safeName = String(name || '').replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_').trim();
+    return safeName && safeName !== '.' && safeName !== '..' ? safeName : fallback;
+}
+
+/**
+ * Return a name that is not yet in the set of used names by adding a counter
+ * before the extension (report.pdf, report (2).pdf, ...)
+ * @param {string} name - The preferred name
+ * @param {Set<string>} usedNames - Names already taken (lower-cased); updated in place
+ * @returns {string} A unique name
+ */
+export function uniqueEntryName(name, usedNames) {
+    let candidate = name;
+    const dotIndex = name.lastIndexOf('.');
+    const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+    for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+        candidate = `${base} (${counter})${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Build ZIP entries that place each email in its own folder, holding the .eml
+ * and its attachments as separate files, plus a manifest.csv at the root
+ * @param {Array} emailContents - Email files returned by buildEmailFile
+ * @returns {Array} Entries with fileName, content and messageDate for createZipFile
+ */
+export function buildFolderArchiveEntries(emailContents) {
+    const entries = [];
+    const manifestRows = [[
+        'Folder', 'Email Id', 'Subject', 'From', 'To', 'Date', 'Attachment Names', 'Attachment Sizes (bytes)'
+    ]];
+    const padLength = String(emailContents.length).length;
+
+    emailContents.forEach((email, index) => {
+        const baseName = sanitizeEntryName(email.fileName.replace(/\.eml$/i, ''), 'Email');
+        const folder = `${String(index + 1).padStart(padLength, '0')}_${baseName}`;
+        const usedNames = new Set([`${baseName}.eml`.toLowerCase()]);
+
+        entries.push({
+            fileName: `${folder}/${baseName}.eml`,
+            content: email.content,
+            messageDate: email.messageDate
+        });
+
+        const attachments = email.attachments || [];
+        const attachmentNames = [];
+        for (const attachment of attachments) {
+            const attachmentName = uniqueEntryName(sanitizeEntryName(attachment.fileName, 'attachment'), usedNames);
+            attachmentNames.push(attachmentName);
+            entries.push({
+                fileName: `${folder}/${attachmentName}`,
+                content: attachment.content,
+                messageDate: email.messageDate
+            });
+        }
+
+        manifestRows.push([
+            folder,
+            email.emailId,
+            email.subject,
+            email.fromAddress,
+            email.toAddress,
+            email.messageDate,
+            attachmentNames.join('; '),
+            attachments.map(attachment => attachment.size).join('; ')
+        ]);
+    });
+
+    entries.push({
+        fileName: 'manifest.csv',
+        content: buildCsv(manifestRows)
+    });
+    return entries;
+}
+
+/**
+ * Month and weekday names for asctime-style dates in MBOX separator lines
+ */
+const ASCTIME_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ASCTIME_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date as UTC asctime (e.g. "Mon Jan  5 09:03:00 2024")
+ * @param {Date} date - The date to format
+ * @returns {string} The formatted date
+ */
+function formatAsctime(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, ' ');
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    return `${ASCTIME_DAYS[date.getUTCDay()]} ${ASCTIME_MONTHS[date.getUTCMonth()]} ${day} ${time} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Create a single RFC 4155 MBOX file from email contents, sorted by MessageDate
+ * Uses mboxrd quoting: body lines matching /^>*From / get one more leading '>'
+ * @param {Array} emailContents - Array of objects with content, fromAddress and messageDate properties
+ * @returns {Blob} The MBOX file Blob
+ */
+export function createMboxFile(emailContents) {
+    const timeOf = (email) => {
+        const time = email.messageDate ? new Date(email.messageDate).getTime() : NaN;
+        // Emails without a date go last
+        return isNaN(time) ? Infinity : time;
+    };
+    const sorted = [...emailContents].sort((a, b) => timeOf(a) - timeOf(b));
+
+    const messages = sorted.map(email => {
+        const time = timeOf(email);
+        const date = time === Infinity ? new Date() : new Date(time);
+        // The envelope sender must be a single token
+        const sender = String(email.fromAddress || '').replace(/\s+/g, '') || 'MAILER-DAEMON';
+        const body = email.content
+            .replace(/\r\n/g, '\n')
+            .replace(/^(>*From )/gm, '>$1');
+        return `From ${sender} ${formatAsctime(date)}\n${body}${body.endsWith('\n') ? '' : '\n'}\n`;
+    });
+
+    return new Blob(messages, { type: 'application/mbox' });
 }
 
 /**
@@ -213,6 +945,71 @@ export async function downloadBlob(blob, fileName) {
     triggerDownload(dataUrl, fileName);
 }
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The size in B, KB or MB (e.g. "512 B", "14.2 KB", "3.1 MB")
+ */
+export function formatFileSize(bytes) {
+    const size = bytes || 0;
+    if (size < 1024) {
+        return `${size} B`;
+    }
+    if (size < 1024 * 1024) {
+        return `${(size / 1024).toFixed(1)} KB`;
+    }
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Email address pattern, kept in sync with EmailForwarder.isValidEmail
+ */
+const EMAIL_ADDRESS_PATTERN = /^[a-zA-Z0-9._|\\%#~`=?&/$^*!}{+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+/**
+ * Split a comma or semicolon separated list of email addresses
+ * @param {string} value - The address list as typed by the user
+ * @returns {Array<string>} The trimmed, non-empty addresses
+ */
+export function parseEmailAddresses(value) {
+    return (value || '')
+        .split(/[,;]/)
+        .map(address => address.trim())
+        .filter(address => address);
+}
+
+/**
+ * Check whether a single email address is valid
+ * @param {string} address - The email address
+ * @returns {boolean} True if the address is valid
+ */
+export function isValidEmailAddress(address) {
+    return EMAIL_ADDRESS_PATTERN.test(address || '');
+}
+
+/**
+ * Check an address against the forward policy (mirrors getPolicyViolation in EmailForwarder.cls)
+ * A listed domain also covers its subdomains; blocked domains win over allowed ones
+ * @param {string} address - The email address
+ * @param {Object} policy - The ForwardPolicy from getForwardPolicy (allowedDomains, blockedDomains)
+ * @returns {string|undefined} Why the address is not allowed, e.g. "someone@gmail.com (gmail.com is blocked)"
+ */
+export function getRecipientPolicyViolation(address, policy) {
+    if (!policy) {
+        return undefined;
+    }
+    const value = address || '';
+    const domain = value.substring(value.lastIndexOf('@') + 1).toLowerCase();
+    const matchesDomain = domains => (domains || []).some(entry => domain === entry || domain.endsWith(`.${entry}`));
+    if (matchesDomain(policy.blockedDomains)) {
+        return `${address} (${domain} is blocked)`;
+    }
+    if (policy.allowedDomains && policy.allowedDomains.length > 0 && !matchesDomain(policy.allowedDomains)) {
+        return `${address} (${domain} is not an allowed domain)`;
+    }
+    return undefined;
+}
+
 /**
  * Reduce errors from Apex calls to a readable string
  * @param {Error|Object|string} error - The error object to reduce
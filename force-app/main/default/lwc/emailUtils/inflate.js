@@ -0,0 +1,273 @@
+/**
+ * Pure JavaScript INFLATE (RFC 1951) decoder used to read imported ZIP files
+ * Decodes stored, fixed Huffman and dynamic Huffman blocks with canonical
+ * Huffman tables decoded one bit at a time
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+
+import {
+    CODE_LENGTH_ORDER,
+    DIST_BASE,
+    DIST_EXTRA,
+    END_OF_BLOCK,
+    LENGTH_BASE,
+    LENGTH_EXTRA
+} from './deflate';
+
+const MAX_CODE_BITS = 15;
+const LITERAL_LENGTH_CODES = 288;
+const DIST_CODES = 30;
+
+const BLOCK_STORED = 0;
+const BLOCK_FIXED = 1;
+const BLOCK_DYNAMIC = 2;
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ * @param {Uint8Array|Array<number>} lengths - Code length per symbol (0 = unused)
+ * @returns {{counts: Uint16Array, symbols: Uint16Array}} Codes per length and symbols in code order
+ */
+function buildDecoder(lengths) {
+    const counts = new Uint16Array(MAX_CODE_BITS + 1);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        counts[lengths[symbol]]++;
+    }
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(MAX_CODE_BITS + 2);
+    for (let len = 1; len <= MAX_CODE_BITS; len++) {
+        offsets[len + 1] = offsets[len] + counts[len];
+    }
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol] !== 0) {
+            symbols[offsets[lengths[symbol]]++] = symbol;
+        }
+    }
+    return { counts, symbols };
+}
+
+/**
+ * Fixed Huffman decoders (lazy initialized)
+ */
+let fixedDecoders = null;
+
+/**
+ * Get or initialize the fixed literal/length and distance decoders (RFC 1951 3.2.6)
+ * @returns {{literals: Object, distances: Object}} The fixed decoders
+ */
+function getFixedDecoders() {
+    if (!fixedDecoders) {
+        const lengths = new Uint8Array(LITERAL_LENGTH_CODES);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, LITERAL_LENGTH_CODES);
+        fixedDecoders = {
+            literals: buildDecoder(lengths),
+            distances: buildDecoder(new Uint8Array(DIST_CODES).fill(5))
+        };
+    }
+    return fixedDecoders;
+}
+
+/**
+ * Little-endian bit reader over the compressed data
+ */
+class BitReader {
+    constructor(data) {
+        this.data = data;
+        this.pos = 0;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    readBits(count) {
+        while (this.bitCount < count) {
+            if (this.pos >= this.data.length) {
+                throw new Error('The compressed data ends unexpectedly.');
+            }
+            this.bitBuffer |= this.data[this.pos++] << this.bitCount;
+            this.bitCount += 8;
+        }
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    // Drop the bits left in the current byte (stored blocks start on a byte boundary)
+    alignToByte() {
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    decodeSymbol({ counts, symbols }) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let len = 1; len <= MAX_CODE_BITS; len++) {
+            code |= this.readBits(1);
+            const count = counts[len];
+            if (code - first < count) {
+                return symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('The compressed data contains an invalid Huffman code.');
+    }
+}
+
+/**
+ * Growable output buffer
+ */
+class ByteOutput {
+    constructor(expectedSize) {
+        this.bytes = new Uint8Array(Math.max(expectedSize || 0, 1024));
+        this.length = 0;
+    }
+
+    ensureCapacity(extra) {
+        if (this.length + extra > this.bytes.length) {
+            const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+            grown.set(this.bytes.subarray(0, this.length));
+            this.bytes = grown;
+        }
+    }
+
+    push(byte) {
+        this.ensureCapacity(1);
+        this.bytes[this.length++] = byte;
+    }
+
+    copyMatch(distance, length) {
+        if (distance > this.length) {
+            throw new Error('The compressed data refers to data before its start.');
+        }
+        this.ensureCapacity(length);
+        // Byte by byte, as the match may overlap the bytes it produces
+        for (let i = 0; i < length; i++, this.length++) {
+            this.bytes[this.length] = this.bytes[this.length - distance];
+        }
+    }
+
+    toBytes() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+
+/**
+ * Read the code lengths of a dynamic block and build its decoders (RFC 1951 3.2.7)
+ * @param {BitReader} reader - The bit reader
+ * @returns {{literals: Object, distances: Object}} The block's decoders
+ */
+function readDynamicDecoders(reader) {
+    const literalCount = reader.readBits(5) + 257;
+    const distCount = reader.readBits(5) + 1;
+    const codeLengthCount = reader.readBits(4) + 4;
+
+    const codeLengthLengths = new Uint8Array(CODE_LENGTH_ORDER.length);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+    }
+    const codeLengthDecoder = buildDecoder(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distCount);
+    for (let i = 0; i < lengths.length;) {
+        const symbol = reader.decodeSymbol(codeLengthDecoder);
+        if (symbol < 16) {
+            lengths[i++] = symbol;
+            continue;
+        }
+        let repeat;
+        let value = 0;
+        if (symbol === 16) {
+            if (i === 0) {
+                throw new Error('The compressed data repeats a missing code length.');
+            }
+            value = lengths[i - 1];
+            repeat = 3 + reader.readBits(2);
+        } else if (symbol === 17) {
+            repeat = 3 + reader.readBits(3);
+        } else {
+            repeat = 11 + reader.readBits(7);
+        }
+        if (i + repeat > lengths.length) {
+            throw new Error('The compressed data has too many code lengths.');
+        }
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+    }
+
+    return {
+        literals: buildDecoder(lengths.subarray(0, literalCount)),
+        distances: buildDecoder(lengths.subarray(literalCount))
+    };
+}
+
+/**
+ * Decompress raw DEFLATE data (no zlib or gzip wrapper)
+ * @param {Uint8Array} data - The compressed data
+ * @param {number} [expectedSize] - The uncompressed size, when known, to allocate the output once
+ * @returns {Uint8Array} The uncompressed data
+ */
+export function inflateRaw(data, expectedSize) {
+    const reader = new BitReader(data);
+    const output = new ByteOutput(expectedSize);
+
+    let isFinal = false;
+    while (!isFinal) {
+        isFinal = reader.readBits(1) === 1;
+        const blockType = reader.readBits(2);
+
+        if (blockType === BLOCK_STORED) {
+            reader.alignToByte();
+            const { pos } = reader;
+            if (pos + 4 > data.length) {
+                throw new Error('The compressed data ends unexpectedly.');
+            }
+            const length = data[pos] | (data[pos + 1] << 8);
+            const lengthComplement = data[pos + 2] | (data[pos + 3] << 8);
+            if ((length ^ 0xFFFF) !== lengthComplement || pos + 4 + length > data.length) {
+                throw new Error('The compressed data contains an invalid stored block.');
+            }
+            output.ensureCapacity(length);
+            output.bytes.set(data.subarray(pos + 4, pos + 4 + length), output.length);
+            output.length += length;
+            reader.pos = pos + 4 + length;
+            continue;
+        }
+
+        let decoders;
+        if (blockType === BLOCK_FIXED) {
+            decoders = getFixedDecoders();
+        } else if (blockType === BLOCK_DYNAMIC) {
+            decoders = readDynamicDecoders(reader);
+        } else {
+            throw new Error('The compressed data contains an invalid block type.');
+        }
+
+        for (let symbol = reader.decodeSymbol(decoders.literals); symbol !== END_OF_BLOCK;
+            symbol = reader.decodeSymbol(decoders.literals)) {
+            if (symbol < END_OF_BLOCK) {
+                output.push(symbol);
+                continue;
+            }
+            const lengthCode = symbol - END_OF_BLOCK - 1;
+            if (lengthCode >= LENGTH_BASE.length) {
+                throw new Error('The compressed data contains an invalid length code.');
+            }
+            const length = LENGTH_BASE[lengthCode] + reader.readBits(LENGTH_EXTRA[lengthCode]);
+            const distCode = reader.decodeSymbol(decoders.distances);
+            if (distCode >= DIST_BASE.length) {
+                throw new Error('The compressed data contains an invalid distance code.');
+            }
+            output.copyMatch(DIST_BASE[distCode] + reader.readBits(DIST_EXTRA[distCode]), length);
+        }
+    }
+    return output.toBytes();
+}
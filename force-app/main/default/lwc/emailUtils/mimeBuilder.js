@@ -0,0 +1,405 @@
+/**
+ * Client-side MIME (RFC 5322 / RFC 2045) builder for EML files
+ * Assembles the message in the browser from the structured email data
+ * returned by Apex, so large attachments never pass through the Apex heap.
+ * Output matches the EML generated by EmailForwarder.buildEmlContent.
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+
+// Maximum length of encoded body lines (RFC 2045)
+const MIME_LINE_LENGTH = 76;
+
+// Maximum bytes per RFC 2047 encoded-word so it stays within 75 characters
+const ENCODED_WORD_BYTES = 45;
+
+// Maximum length of an RFC 2231 filename continuation segment
+const FILENAME_SEGMENT_LENGTH = 60;
+
+const CRLF = '\r\n';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Check whether a string only contains printable ASCII characters
+ * @param {string} value - The value to check
+ * @returns {boolean} True if the value is printable ASCII
+ */
+function isAsciiPrintable(value) {
+    return /^[\x20-\x7E]*$/.test(value);
+}
+
+/**
+ * Base64 encode bytes
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The base64 string
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    // Convert in chunks to avoid exceeding the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Create a unique MIME boundary
+ * @param {string} prefix - Boundary prefix (e.g. 'Part' or 'Alt')
+ * @returns {string} The boundary
+ */
+function createBoundary(prefix) {
+    return `----=_${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Format a date as an RFC 5322 date in GMT (e.g. "Mon, 5 Jan 2024 09:03:00 +0000")
+ * @param {Date} date - The date to format
+ * @returns {string} The formatted date
+ */
+function formatRfc5322Date(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    return `${DAYS[date.getUTCDay()]}, ${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()} ${time} +0000`;
+}
+
+/**
+ * Format a header line, terminated with CRLF
+ * @param {string} name - Header name
+ * @param {string} value - Header value
+ * @returns {string} The header line
+ */
+function formatHeader(name, value) {
+    return `${name}: ${value || ''}${CRLF}`;
+}
+
+/**
+ * Escape backslashes and double quotes for use inside a quoted string
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+function escapeQuoted(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Encode a header value with RFC 2047 encoded-words when it contains non-ASCII characters
+ * @param {string} value - The header value
+ * @returns {string} The encoded value
+ */
+function encodeHeaderValue(value) {
+    if (!value || isAsciiPrintable(value)) {
+        return value;
+    }
+
+    const words = [];
+    let chunk = '';
+    let chunkBytes = 0;
+    // Iterating the string yields whole code points, so multi-byte characters are never split
+    for (const character of value) {
+        const characterBytes = textEncoder.encode(character).length;
+        if (chunkBytes + characterBytes > ENCODED_WORD_BYTES) {
+            words.push(`=?UTF-8?B?${bytesToBase64(textEncoder.encode(chunk))}?=`);
+            chunk = '';
+            chunkBytes = 0;
+        }
+        chunk += character;
+        chunkBytes += characterBytes;
+    }
+    if (chunk) {
+        words.push(`=?UTF-8?B?${bytesToBase64(textEncoder.encode(chunk))}?=`);
+    }
+    return words.join(`${CRLF} `);
+}
+
+/**
+ * Format a single mailbox as "Display Name" <address>
+ * @param {string} displayName - The display name
+ * @param {string} address - The email address
+ * @returns {string} The formatted mailbox
+ */
+function formatMailbox(displayName, address) {
+    const addr = address ? address.trim() : '';
+    const name = displayName ? displayName.trim() : '';
+    if (!name || name === addr) {
+        return addr;
+    }
+    const encodedName = isAsciiPrintable(name) ? `"${escapeQuoted(name)}"` : encodeHeaderValue(name);
+    return `${encodedName} <${addr}>`;
+}
+
+/**
+ * Convert a Salesforce address list (semicolon or comma separated) to an
+ * RFC 5322 address list, folded with one address per line
+ * @param {string} addresses - The address list
+ * @returns {string} The formatted address list
+ */
+function formatAddressList(addresses) {
+    if (!addresses) {
+        return '';
+    }
+    return addresses
+        .split(/[;,]/)
+        .map(address => address.trim())
+        .filter(address => address)
+        .join(`,${CRLF} `);
+}
+
+/**
+ * Build the RFC 2231 filename parameter, using continuations for long names
+ * Plain ASCII names use a simple quoted filename
+ * @param {string} fileName - The attachment file name
+ * @returns {string} The filename parameter
+ */
+function formatFileNameParameter(fileName) {
+    if (isAsciiPrintable(fileName)) {
+        return `filename="${escapeQuoted(fileName)}"`;
+    }
+
+    const encoded = encodeURIComponent(fileName).replace(/[!'()*]/g,
+        (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    // Split into segments without breaking %XX triplets
+    const segments = [];
+    let position = 0;
+    while (position < encoded.length) {
+        let endIdx = Math.min(position + FILENAME_SEGMENT_LENGTH, encoded.length);
+        const percentIdx = encoded.lastIndexOf('%', endIdx - 1);
+        if (endIdx < encoded.length && percentIdx > endIdx - 3 && percentIdx > position) {
+            endIdx = percentIdx;
+        }
+        segments.push(encoded.slice(position, endIdx));
+        position = endIdx;
+    }
+
+    if (segments.length === 1) {
+        return `filename*=UTF-8''${segments[0]}`;
+    }
+    return segments
+        .map((segment, i) => `filename*${i}*=${i === 0 ? "UTF-8''" : ''}${segment}`)
+        .join(`;${CRLF} `);
+}
+
+/**
+ * Check whether a byte is left literal by quoted-printable (printable ASCII and space, except '=')
+ * @param {number} byte - The byte value
+ * @returns {boolean} True if the byte needs no encoding
+ */
+function isQuotedPrintableSafe(byte) {
+    return byte >= 0x20 && byte <= 0x7E && byte !== 0x3D;
+}
+
+/**
+ * Encode a single line as quoted-printable, adding soft line breaks so
+ * no encoded line exceeds 76 characters
+ * @param {string} line - The line to encode (without line break)
+ * @returns {string} The encoded line
+ */
+function encodeQuotedPrintableLine(line) {
+    const bytes = textEncoder.encode(line);
+    const encodedLines = [];
+    let current = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        const isLast = i === bytes.length - 1;
+        // Trailing spaces must be encoded so they survive transport
+        const token = isQuotedPrintableSafe(byte) && !(isLast && byte === 0x20)
+            ? String.fromCharCode(byte)
+            : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+        // Keep room for the soft line break '=' unless this is the final token
+        const limit = isLast ? MIME_LINE_LENGTH : MIME_LINE_LENGTH - 1;
+        if (current.length + token.length > limit) {
+            encodedLines.push(`${current}=`);
+            current = '';
+        }
+        current += token;
+    }
+    encodedLines.push(current);
+    return encodedLines.join(CRLF);
+}
+
+/**
+ * Encode text as quoted-printable (RFC 2045) with CRLF line breaks
+ * @param {string} text - The text to encode
+ * @returns {string} The encoded text
+ */
+function encodeQuotedPrintable(text) {
+    if (!text) {
+        return '';
+    }
+    return text
+        .split(/\r\n|\r|\n/)
+        .map(encodeQuotedPrintableLine)
+        .join(CRLF);
+}
+
+/**
+ * Build a quoted-printable encoded text MIME entity
+ * @param {string} mimeType - text/plain or text/html
+ * @param {string} content - The text content
+ * @returns {string} The MIME entity
+ */
+function buildTextEntity(mimeType, content) {
+    return `Content-Type: ${mimeType}; charset=UTF-8${CRLF}`
+        + `Content-Transfer-Encoding: quoted-printable${CRLF}`
+        + CRLF
+        + encodeQuotedPrintable(content) + CRLF;
+}
+
+/**
+ * Build the body MIME entity (headers and content)
+ * Uses multipart/alternative when both text and HTML bodies exist
+ * @param {Object} email - Email data with textBody and htmlBody
+ * @param {Array} inlineAttachments - Images the HTML body shows through cid: references
+ * @returns {string} The MIME entity
+ */
+function buildBodyEntity(email, inlineAttachments) {
+    if (email.htmlBody && email.textBody) {
+        const boundary = createBoundary('Alt');
+        return `Content-Type: multipart/alternative; boundary="${boundary}"${CRLF}`
+            + CRLF
+            + `--${boundary}${CRLF}`
+            + buildTextEntity('text/plain', email.textBody) + CRLF
+            + `--${boundary}${CRLF}`
+            + buildHtmlEntity(email.htmlBody, inlineAttachments) + CRLF
+            + `--${boundary}--${CRLF}`;
+    }
+    if (email.htmlBody) {
+        return buildHtmlEntity(email.htmlBody, inlineAttachments);
+    }
+    return buildTextEntity('text/plain', email.textBody || '');
+}
+
+/**
+ * Build the HTML MIME entity, wrapped in multipart/related with its inline images (RFC 2387)
+ * @param {string} html - The HTML body
+ * @param {Array} inlineAttachments - Attachments with a contentId
+ * @returns {string} The MIME entity
+ */
+function buildHtmlEntity(html, inlineAttachments) {
+    if (!inlineAttachments || inlineAttachments.length === 0) {
+        return buildTextEntity('text/html', html);
+    }
+
+    const boundary = createBoundary('Rel');
+    const parts = [
+        `Content-Type: multipart/related; type="text/html"; boundary="${boundary}"${CRLF}`,
+        CRLF,
+        `--${boundary}${CRLF}`,
+        buildTextEntity('text/html', html) + CRLF
+    ];
+    for (const attachment of inlineAttachments) {
+        parts.push(`--${boundary}${CRLF}`);
+        parts.push(buildAttachmentEntity(attachment));
+    }
+    parts.push(`--${boundary}--${CRLF}`);
+    return parts.join('');
+}
+
+/**
+ * Build a base64 encoded attachment MIME entity
+ * The name parameter uses RFC 2047 (read by Outlook), the filename parameter RFC 2231
+ * Inline images carry their Content-ID and an inline disposition
+ * @param {Object} attachment - Attachment with fileName, contentType, base64Content and optional contentId
+ * @returns {string} The MIME entity
+ */
+function buildAttachmentEntity(attachment) {
+    const contentType = attachment.contentType || 'application/octet-stream';
+    const parts = [
+        `Content-Type: ${contentType};${CRLF} name="${escapeQuoted(encodeHeaderValue(attachment.fileName))}"${CRLF}`
+    ];
+    if (attachment.contentId) {
+        parts.push(`Content-ID: <${attachment.contentId}>${CRLF}`);
+    }
+    parts.push(
+        `Content-Disposition: ${attachment.contentId ? 'inline' : 'attachment'};${CRLF} `
+            + `${formatFileNameParameter(attachment.fileName)}${CRLF}`,
+        `Content-Transfer-Encoding: base64${CRLF}`,
+        CRLF
+    );
+
+    // Add base64 content with line breaks every 76 characters (RFC 2045)
+    const base64 = attachment.base64Content || '';
+    for (let i = 0; i < base64.length; i += MIME_LINE_LENGTH) {
+        parts.push(base64.slice(i, i + MIME_LINE_LENGTH) + CRLF);
+    }
+    parts.push(CRLF);
+    return parts.join('');
+}
+
+/**
+ * Build an EML file from structured email data
+ * Attachments with a contentId (set by Apex for cid: images) go with the HTML body as
+ * multipart/related; the others are attached
+ * @param {Object} email - Email data returned by getEmailDownloadData
+ * @param {Array} attachments - Attachments with fileName, contentType, base64Content and optional contentId
+ * @returns {string} The EML content
+ */
+export function buildEml(email, attachments = []) {
+    const subject = email.subject || '(No Subject)';
+    const parts = [];
+
+    // Common headers
+    parts.push(formatHeader('From', formatMailbox(email.fromName, email.fromAddress)));
+    parts.push(formatHeader('To', formatAddressList(email.toAddress)));
+    if (email.ccAddress) {
+        parts.push(formatHeader('Cc', formatAddressList(email.ccAddress)));
+    }
+    if (email.bccAddress) {
+        parts.push(formatHeader('Bcc', formatAddressList(email.bccAddress)));
+    }
+    const messageDate = email.messageDate ? new Date(email.messageDate) : null;
+    if (messageDate && !isNaN(messageDate.getTime())) {
+        parts.push(formatHeader('Date', formatRfc5322Date(messageDate)));
+    }
+    parts.push(formatHeader('Subject', encodeHeaderValue(subject)));
+
+    // Threading headers
+    if (email.messageIdentifier) {
+        parts.push(formatHeader('Message-ID', email.messageIdentifier));
+    }
+    if (email.inReplyTo) {
+        parts.push(formatHeader('In-Reply-To', email.inReplyTo));
+    }
+    if (email.references) {
+        parts.push(formatHeader('References', email.references.trim().split(/\s+/).join(`${CRLF} `)));
+    }
+    parts.push(`MIME-Version: 1.0${CRLF}`);
+
+    const inlineAttachments = (attachments || []).filter(attachment => attachment.contentId);
+    const fileAttachments = (attachments || []).filter(attachment => !attachment.contentId);
+    const bodyEntity = buildBodyEntity(email, inlineAttachments);
+
+    if (fileAttachments.length > 0) {
+        // Multipart message with attachments
+        const boundary = createBoundary('Part');
+        parts.push(`Content-Type: multipart/mixed; boundary="${boundary}"${CRLF}`);
+        parts.push(CRLF);
+        parts.push(`This is a multi-part message in MIME format.${CRLF}`);
+        parts.push(CRLF);
+
+        // Body part
+        parts.push(`--${boundary}${CRLF}`);
+        parts.push(bodyEntity + CRLF);
+
+        // Attachment parts
+        for (const attachment of fileAttachments) {
+            parts.push(`--${boundary}${CRLF}`);
+            parts.push(buildAttachmentEntity(attachment));
+        }
+
+        // End boundary
+        parts.push(`--${boundary}--${CRLF}`);
+    } else {
+        // Simple message without attachments
+        parts.push(bodyEntity);
+    }
+
+    return parts.join('');
+}
@@ -0,0 +1,435 @@
+/**
+ * Client-side MIME (RFC 5322 / RFC 2045) parser for imported EML files
+ * Reads the headers (unfolded, with RFC 2047 encoded-words and RFC 2231 parameters),
+ * walks multipart bodies and decodes base64 and quoted-printable parts, so the
+ * email can be created as an EmailMessage with its attachments as files.
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+
+// Charset used when a part does not name one, or names one the browser cannot decode
+const DEFAULT_CHARSET = 'utf-8';
+const FALLBACK_CHARSET = 'windows-1252';
+
+const ENCODED_WORD_PATTERN = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+
+/**
+ * Convert bytes to a binary string (one character per byte) so the message can be
+ * searched with string methods without decoding it
+ * @param {Uint8Array} bytes - The bytes to convert
+ * @returns {string} The binary string
+ */
+function bytesToBinary(bytes) {
+    let binary = '';
+    // Convert in chunks to avoid exceeding the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return binary;
+}
+
+/**
+ * Convert a binary string back to bytes
+ * @param {string} binary - The binary string
+ * @returns {Uint8Array} The bytes
+ */
+function binaryToBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 and then Windows-1252
+ * @param {Uint8Array} bytes - The encoded text
+ * @param {string} [charset] - The charset named by the message
+ * @returns {string} The decoded text
+ */
+function decodeText(bytes, charset) {
+    const label = (charset || DEFAULT_CHARSET).trim().toLowerCase();
+    try {
+        // Undeclared or mislabelled 8-bit text is often Windows-1252, so invalid UTF-8 falls back to it
+        return new TextDecoder(label, { fatal: label === DEFAULT_CHARSET }).decode(bytes);
+    } catch {
+        return new TextDecoder(label === DEFAULT_CHARSET ? FALLBACK_CHARSET : DEFAULT_CHARSET).decode(bytes);
+    }
+}
+
+/**
+ * Decode a quoted-printable body (RFC 2045 6.7)
+ * @param {string} binary - The encoded body as a binary string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function decodeQuotedPrintable(binary) {
+    const text = binary.replace(/[ \t]+(?=\r?\n)/g, '').replace(/=\r?\n/g, '');
+    const bytes = new Uint8Array(text.length);
+    let length = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+            bytes[length++] = parseInt(text.substr(i + 1, 2), 16);
+            i += 2;
+        } else {
+            bytes[length++] = text.charCodeAt(i) & 0xFF;
+        }
+    }
+    return bytes.subarray(0, length);
+}
+
+/**
+ * Decode a base64 body, ignoring line breaks and other characters outside the alphabet
+ * @param {string} binary - The encoded body as a binary string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function decodeBase64(binary) {
+    let clean = binary.replace(/[^A-Za-z0-9+/]/g, '');
+    // Drop a dangling character that cannot form a byte
+    if (clean.length % 4 === 1) {
+        clean = clean.slice(0, -1);
+    }
+    while (clean.length % 4 !== 0) {
+        clean += '=';
+    }
+    return binaryToBytes(atob(clean));
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} binary - The body as a binary string
+ * @param {string} [encoding] - The transfer encoding (7bit, 8bit, binary, base64 or quoted-printable)
+ * @returns {Uint8Array} The decoded bytes
+ */
+function decodeTransferEncoding(binary, encoding) {
+    switch ((encoding || '').trim().toLowerCase()) {
+        case 'base64':
+            return decodeBase64(binary);
+        case 'quoted-printable':
+            return decodeQuotedPrintable(binary);
+        default:
+            return binaryToBytes(binary);
+    }
+}
+
+/**
+ * Decode the RFC 2047 encoded-words in a header value
+ * Whitespace between two adjacent encoded-words is removed, as the standard requires
+ * @param {string} value - The header value
+ * @returns {string} The decoded value
+ */
+function decodeEncodedWords(value) {
+    if (!value || value.indexOf('=?') < 0) {
+        return value || '';
+    }
+    const joined = value.replace(/(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)/g, '$1');
+    return joined.replace(ENCODED_WORD_PATTERN, (word, charset, encoding, text) => {
+        try {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? decodeBase64(text)
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            // A language may follow the charset (RFC 2231 section 5): utf-8*en
+            return decodeText(bytes, charset.split('*')[0]);
+        } catch {
+            // Leave an encoded-word that cannot be decoded as it is
+            return word;
+        }
+    });
+}
+
+/**
+ * Split the header block into unfolded name/value pairs
+ * Headers with raw 8-bit characters are read as UTF-8 (RFC 6532), or Windows-1252 when not valid UTF-8
+ * @param {string} headerBinary - The header block as a binary string
+ * @returns {{raw: string, headers: Array<{name: string, value: string}>}} The header text and headers
+ */
+function parseHeaderBlock(headerBinary) {
+    const raw = decodeText(binaryToBytes(headerBinary));
+    const headers = [];
+    for (const line of raw.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colonIndex = line.indexOf(':');
+        if (colonIndex > 0) {
+            headers.push({ name: line.slice(0, colonIndex).trim().toLowerCase(), value: line.slice(colonIndex + 1).trim() });
+        }
+    }
+    return { raw: raw.replace(/\r?\n/g, '\r\n').trim(), headers };
+}
+
+/**
+ * Get the first value of a header
+ * @param {Array<{name: string, value: string}>} headers - The parsed headers
+ * @param {string} name - The lower-case header name
+ * @returns {string} The value, or an empty string when the header is missing
+ */
+function getHeader(headers, name) {
+    const header = headers.find(h => h.name === name);
+    return header ? header.value : '';
+}
+
+/**
+ * Split a string on a separator that is not inside quotes, comments or angle brackets
+ * @param {string} value - The value to split
+ * @param {string} separator - The separator character
+ * @returns {Array<string>} The trimmed, non-empty pieces
+ */
+function splitOutsideQuotes(value, separator) {
+    const pieces = [];
+    let current = '';
+    let inQuotes = false;
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+        const ch = value[i];
+        if (ch === '\\' && inQuotes && i + 1 < value.length) {
+            current += ch + value[++i];
+            continue;
+        }
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (ch === '<' || ch === '(')) {
+            depth++;
+        } else if (!inQuotes && (ch === '>' || ch === ')')) {
+            depth = Math.max(0, depth - 1);
+        }
+        if (ch === separator && !inQuotes && depth === 0) {
+            pieces.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    pieces.push(current.trim());
+    return pieces.filter(piece => piece.length > 0);
+}
+
+/**
+ * Remove the quotes and backslash escapes of a quoted string
+ * @param {string} value - The value
+ * @returns {string} The unquoted value
+ */
+function unquote(value) {
+    const trimmed = (value || '').trim();
+    if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+        return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return trimmed;
+}
+
+/**
+ * Parse a structured header such as Content-Type into its value and parameters
+ * RFC 2231 continuations (name*0, name*1) and extended values (name*=utf-8''%E2%82%AC) are joined and decoded
+ * @param {string} value - The header value
+ * @returns {{value: string, params: Object}} The lower-case value and the parameters by lower-case name
+ */
+function parseParameterizedHeader(value) {
+    const [main, ...rawParams] = splitOutsideQuotes(value || '', ';');
+    const segments = {};
+    for (const rawParam of rawParams) {
+        const equalsIndex = rawParam.indexOf('=');
+        if (equalsIndex > 0) {
+            const key = rawParam.slice(0, equalsIndex).trim().toLowerCase();
+            const match = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+            if (match) {
+                const [, name, index, extended] = match;
+                segments[name] = segments[name] || [];
+                segments[name].push({ index: Number(index || 0), extended: !!extended, text: unquote(rawParam.slice(equalsIndex + 1)) });
+            }
+        }
+    }
+
+    const params = {};
+    for (const [name, parts] of Object.entries(segments)) {
+        parts.sort((a, b) => a.index - b.index);
+        if (!parts.some(part => part.extended)) {
+            params[name] = decodeEncodedWords(parts.map(part => part.text).join(''));
+            continue;
+        }
+        // The first extended segment starts with charset'language'
+        let charset = DEFAULT_CHARSET;
+        const binary = parts.map((part, i) => {
+            let text = part.text;
+            if (i === 0 && part.extended) {
+                const pieces = text.split('\'');
+                if (pieces.length >= 3) {
+                    charset = pieces[0] || DEFAULT_CHARSET;
+                    text = pieces.slice(2).join('\'');
+                }
+            }
+            return part.extended
+                ? text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+                : text;
+        }).join('');
+        params[name] = decodeText(binaryToBytes(binary), charset);
+    }
+    return { value: (main || '').trim().toLowerCase(), params };
+}
+
+/**
+ * Parse an address list header (From, To, Cc, Bcc) into display names and addresses
+ * Group syntax ("Team: a@example.com, b@example.com;") is flattened
+ * @param {string} value - The header value
+ * @returns {Array<{name: string, address: string}>} The mailboxes
+ */
+function parseAddressList(value) {
+    const mailboxes = [];
+    const flattened = (value || '').replace(/(^|,)\s*[^,"<>@]*:/g, '$1').replace(/;/g, ',');
+    for (const entry of splitOutsideQuotes(flattened, ',')) {
+        const angle = entry.match(/<([^>]*)>/);
+        const address = (angle ? angle[1] : entry.replace(/\([^)]*\)/g, '')).trim();
+        if (!address.includes('@')) {
+            continue;
+        }
+        let name = angle ? entry.replace(angle[0], '') : (entry.match(/\(([^)]*)\)/) || [])[1] || '';
+        name = decodeEncodedWords(unquote(name.trim()));
+        mailboxes.push({ name, address });
+    }
+    return mailboxes;
+}
+
+/**
+ * Choose an attachment file name when the part does not name one
+ * @param {string} contentType - The part's content type
+ * @param {number} index - The attachment number
+ * @returns {string} A file name such as attachment-2.pdf
+ */
+function defaultFileName(contentType, index) {
+    if (contentType === 'message/rfc822') {
+        return `attached-email-${index}.eml`;
+    }
+    const subtype = (contentType.split('/')[1] || 'bin').replace(/^x-/, '').replace(/[^a-z0-9]/g, '');
+    const extension = { plain: 'txt', jpeg: 'jpg', svgxml: 'svg', octetstream: 'bin' }[subtype] || subtype || 'bin';
+    return `attachment-${index}.${extension}`;
+}
+
+/**
+ * Split a MIME entity into its header block and body
+ * @param {string} binary - The entity as a binary string
+ * @returns {{headerBinary: string, bodyBinary: string}} The header block and the body
+ */
+function splitEntity(binary) {
+    const match = binary.match(/\r?\n\r?\n/);
+    if (!match) {
+        return { headerBinary: binary, bodyBinary: '' };
+    }
+    return { headerBinary: binary.slice(0, match.index), bodyBinary: binary.slice(match.index + match[0].length) };
+}
+
+/**
+ * Split a multipart body into its parts on the boundary lines
+ * @param {string} bodyBinary - The multipart body as a binary string
+ * @param {string} boundary - The boundary parameter
+ * @returns {Array<string>} The parts as binary strings
+ */
+function splitMultipart(bodyBinary, boundary) {
+    const parts = [];
+    const delimiter = '--' + boundary;
+    let start = -1;
+    let searchFrom = 0;
+    for (;;) {
+        let index = bodyBinary.indexOf(delimiter, searchFrom);
+        // A delimiter only counts at the start of a line
+        while (index > 0 && bodyBinary[index - 1] !== '\n') {
+            index = bodyBinary.indexOf(delimiter, index + 1);
+        }
+        if (index < 0) {
+            // A missing close delimiter ends the last part at the end of the body
+            if (start >= 0) {
+                parts.push(bodyBinary.slice(start));
+            }
+            break;
+        }
+        if (start >= 0) {
+            // The line break before a delimiter belongs to the delimiter
+            parts.push(bodyBinary.slice(start, index).replace(/\r?\n$/, ''));
+        }
+        const isClose = bodyBinary.startsWith('--', index + delimiter.length);
+        if (isClose) {
+            break;
+        }
+        const lineEnd = bodyBinary.indexOf('\n', index + delimiter.length);
+        if (lineEnd < 0) {
+            break;
+        }
+        start = lineEnd + 1;
+        searchFrom = start;
+    }
+    return parts;
+}
+
+/**
+ * Walk a MIME entity, collecting the first text and HTML bodies and every other part as an attachment
+ * @param {string} binary - The entity as a binary string
+ * @param {Object} email - The parsed email being filled in
+ */
+function walkEntity(binary, email) {
+    const { headerBinary, bodyBinary } = splitEntity(binary);
+    const { headers } = parseHeaderBlock(headerBinary);
+    const contentType = parseParameterizedHeader(getHeader(headers, 'content-type') || 'text/plain; charset=us-ascii');
+    const disposition = parseParameterizedHeader(getHeader(headers, 'content-disposition'));
+    const mimeType = contentType.value || 'text/plain';
+
+    if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+        for (const part of splitMultipart(bodyBinary, contentType.params.boundary)) {
+            walkEntity(part, email);
+        }
+        return;
+    }
+
+    const content = decodeTransferEncoding(bodyBinary, getHeader(headers, 'content-transfer-encoding'));
+    const fileName = disposition.params.filename || contentType.params.name;
+    const isAttachment = disposition.value === 'attachment' || !!fileName;
+
+    if (!isAttachment && mimeType === 'text/plain' && email.textBody === null) {
+        email.textBody = decodeText(content, contentType.params.charset);
+        return;
+    }
+    if (!isAttachment && mimeType === 'text/html' && email.htmlBody === null) {
+        email.htmlBody = decodeText(content, contentType.params.charset);
+        return;
+    }
+
+    const contentId = getHeader(headers, 'content-id').replace(/^<|>$/g, '');
+    email.attachments.push({
+        fileName: fileName || defaultFileName(mimeType, email.attachments.length + 1),
+        contentType: mimeType,
+        contentId,
+        content
+    });
+}
+
+/**
+ * Parse an EML file
+ * @param {Uint8Array} bytes - The EML file
+ * @returns {Object} The email: subject, fromAddress, fromName, toAddress, ccAddress, bccAddress
+ *                   ('; ' separated), messageDate (ISO string or null), messageIdentifier,
+ *                   headers (the raw header block, which keeps In-Reply-To and References), textBody, htmlBody and attachments with
+ *                   fileName, contentType, contentId and content (Uint8Array)
+ */
+export function parseEml(bytes) {
+    const binary = bytesToBinary(bytes);
+    const { headerBinary } = splitEntity(binary);
+    const { raw, headers } = parseHeaderBlock(headerBinary);
+    if (!headers.some(h => h.name === 'from' || h.name === 'subject' || h.name === 'date')) {
+        throw new Error('The file is not an email message.');
+    }
+
+    const from = parseAddressList(getHeader(headers, 'from'))[0] || { name: '', address: '' };
+    const joinAddresses = (name) => parseAddressList(getHeader(headers, name)).map(mailbox => mailbox.address).join('; ');
+    const date = new Date(getHeader(headers, 'date').replace(/\s*\([^)]*\)\s*$/, ''));
+
+    const email = {
+        subject: decodeEncodedWords(getHeader(headers, 'subject')),
+        fromAddress: from.address,
+        fromName: from.name,
+        toAddress: joinAddresses('to'),
+        ccAddress: joinAddresses('cc'),
+        bccAddress: joinAddresses('bcc'),
+        messageDate: isNaN(date.getTime()) ? null : date.toISOString(),
+        messageIdentifier: getHeader(headers, 'message-id'),
+        headers: raw,
+        textBody: null,
+        htmlBody: null,
+        attachments: []
+    };
+    walkEntity(binary, email);
+    return email;
+}
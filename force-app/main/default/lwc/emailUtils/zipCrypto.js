@@ -0,0 +1,191 @@
+/**
+ * WinZip AES-256 encryption (AE-1 / AE-2) for ZIP entries
+ * Keys are derived with PBKDF2 and entries authenticated with HMAC-SHA1 through WebCrypto;
+ * the AES block cipher itself is implemented here because WinZip's CTR mode uses a
+ * little-endian counter, which the WebCrypto AES-CTR mode cannot produce
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+
+const AES_BLOCK_SIZE = 16;
+const AES_256_KEY_SIZE = 32;
+const AES_256_ROUNDS = 14;
+
+// WinZip AES-256 parameters: salt length, PBKDF2 iterations, password verifier and authentication code lengths
+const SALT_SIZE = 16;
+const PBKDF2_ITERATIONS = 1000;
+const VERIFIER_SIZE = 2;
+const AUTH_CODE_SIZE = 10;
+
+/**
+ * Bytes an encrypted entry adds to its (compressed) data: salt, password verifier and authentication code
+ */
+export const AES_OVERHEAD = SALT_SIZE + VERIFIER_SIZE + AUTH_CODE_SIZE;
+
+/**
+ * AES S-box and encryption T-tables (lazy initialized)
+ */
+let sBox = null;
+let tTables = null;
+
+/**
+ * Get or initialize the S-box and T-tables from the GF(2^8) arithmetic in FIPS-197
+ * @returns {{sBox: Uint8Array, tTables: Array<Uint32Array>}} The S-box and the four T-tables
+ */
+function getAesTables() {
+    if (!sBox) {
+        const exp = new Uint8Array(256);
+        const log = new Uint8Array(256);
+        const xtime = (value) => ((value << 1) ^ (value & 0x80 ? 0x1B : 0)) & 0xFF;
+        for (let i = 0, x = 1; i < 255; i++) {
+            exp[i] = x;
+            log[x] = i;
+            x ^= xtime(x); // Multiply by the generator 3
+        }
+
+        sBox = new Uint8Array(256);
+        tTables = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+        for (let i = 0; i < 256; i++) {
+            const inverse = i === 0 ? 0 : exp[(255 - log[i]) % 255];
+            let s = inverse;
+            for (let shift = 1; shift <= 4; shift++) {
+                s ^= ((inverse << shift) | (inverse >>> (8 - shift))) & 0xFF;
+            }
+            s ^= 0x63;
+            sBox[i] = s;
+
+            // MixColumns column (2s, s, s, 3s), rotated one byte per table
+            const word = ((xtime(s) << 24) | (s << 16) | (s << 8) | (xtime(s) ^ s)) >>> 0;
+            tTables[0][i] = word;
+            tTables[1][i] = ((word >>> 8) | (word << 24)) >>> 0;
+            tTables[2][i] = ((word >>> 16) | (word << 16)) >>> 0;
+            tTables[3][i] = ((word >>> 24) | (word << 8)) >>> 0;
+        }
+    }
+    return { sBox, tTables };
+}
+
+/**
+ * Expand an AES-256 key into the round keys
+ * @param {Uint8Array} key - The 32 byte key
+ * @returns {Uint32Array} The 60 round key words
+ */
+function expandKey(key) {
+    const { sBox: box } = getAesTables();
+    const subWord = (word) => ((box[word >>> 24] << 24) | (box[(word >>> 16) & 0xFF] << 16)
+        | (box[(word >>> 8) & 0xFF] << 8) | box[word & 0xFF]) >>> 0;
+    const keyWords = AES_256_KEY_SIZE / 4;
+    const roundKeys = new Uint32Array(4 * (AES_256_ROUNDS + 1));
+
+    for (let i = 0; i < keyWords; i++) {
+        roundKeys[i] = ((key[4 * i] << 24) | (key[4 * i + 1] << 16) | (key[4 * i + 2] << 8) | key[4 * i + 3]) >>> 0;
+    }
+    for (let i = keyWords, roundConstant = 1; i < roundKeys.length; i++) {
+        let temp = roundKeys[i - 1];
+        if (i % keyWords === 0) {
+            temp = (subWord(((temp << 8) | (temp >>> 24)) >>> 0) ^ (roundConstant << 24)) >>> 0;
+            roundConstant = (roundConstant << 1) ^ (roundConstant & 0x80 ? 0x11B : 0);
+        } else if (i % keyWords === 4) {
+            temp = subWord(temp);
+        }
+        roundKeys[i] = (roundKeys[i - keyWords] ^ temp) >>> 0;
+    }
+    return roundKeys;
+}
+
+/**
+ * Encrypt one 16 byte block with AES-256
+ * @param {Uint32Array} roundKeys - Round keys from expandKey
+ * @param {Uint8Array} input - The plaintext block
+ * @param {Uint8Array} output - Receives the ciphertext block
+ */
+function encryptBlock(roundKeys, input, output) {
+    const { sBox: box, tTables: [t0, t1, t2, t3] } = getAesTables();
+    let s0 = ((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) ^ roundKeys[0];
+    let s1 = ((input[4] << 24) | (input[5] << 16) | (input[6] << 8) | input[7]) ^ roundKeys[1];
+    let s2 = ((input[8] << 24) | (input[9] << 16) | (input[10] << 8) | input[11]) ^ roundKeys[2];
+    let s3 = ((input[12] << 24) | (input[13] << 16) | (input[14] << 8) | input[15]) ^ roundKeys[3];
+
+    let k = 4;
+    for (let round = 1; round < AES_256_ROUNDS; round++, k += 4) {
+        const n0 = t0[s0 >>> 24] ^ t1[(s1 >>> 16) & 0xFF] ^ t2[(s2 >>> 8) & 0xFF] ^ t3[s3 & 0xFF] ^ roundKeys[k];
+        const n1 = t0[s1 >>> 24] ^ t1[(s2 >>> 16) & 0xFF] ^ t2[(s3 >>> 8) & 0xFF] ^ t3[s0 & 0xFF] ^ roundKeys[k + 1];
+        const n2 = t0[s2 >>> 24] ^ t1[(s3 >>> 16) & 0xFF] ^ t2[(s0 >>> 8) & 0xFF] ^ t3[s1 & 0xFF] ^ roundKeys[k + 2];
+        const n3 = t0[s3 >>> 24] ^ t1[(s0 >>> 16) & 0xFF] ^ t2[(s1 >>> 8) & 0xFF] ^ t3[s2 & 0xFF] ^ roundKeys[k + 3];
+        s0 = n0;
+        s1 = n1;
+        s2 = n2;
+        s3 = n3;
+    }
+
+    // Final round: SubBytes and ShiftRows without MixColumns
+    const columns = [s0, s1, s2, s3];
+    for (let c = 0; c < 4; c++) {
+        const word = ((box[columns[c] >>> 24] << 24)
+            | (box[(columns[(c + 1) % 4] >>> 16) & 0xFF] << 16)
+            | (box[(columns[(c + 2) % 4] >>> 8) & 0xFF] << 8)
+            | box[columns[(c + 3) % 4] & 0xFF]) ^ roundKeys[k + c];
+        output[4 * c] = word >>> 24;
+        output[4 * c + 1] = (word >>> 16) & 0xFF;
+        output[4 * c + 2] = (word >>> 8) & 0xFF;
+        output[4 * c + 3] = word & 0xFF;
+    }
+}
+
+/**
+ * Encrypt data in place with AES-256 in WinZip's CTR mode (little-endian counter starting at 1)
+ * @param {Uint32Array} roundKeys - Round keys from expandKey
+ * @param {Uint8Array} data - The data to encrypt
+ */
+function ctrEncrypt(roundKeys, data) {
+    const counter = new Uint8Array(AES_BLOCK_SIZE);
+    const keystream = new Uint8Array(AES_BLOCK_SIZE);
+    for (let offset = 0; offset < data.length; offset += AES_BLOCK_SIZE) {
+        for (let i = 0; i < AES_BLOCK_SIZE; i++) {
+            counter[i] = (counter[i] + 1) & 0xFF;
+            if (counter[i] !== 0) {
+                break;
+            }
+        }
+        encryptBlock(roundKeys, counter, keystream);
+        const end = Math.min(offset + AES_BLOCK_SIZE, data.length);
+        for (let i = offset; i < end; i++) {
+            data[i] ^= keystream[i - offset];
+        }
+    }
+}
+
+/**
+ * Encrypt the (compressed) data of a ZIP entry with WinZip AES-256
+ * A new random salt is used for every entry, so each entry gets its own keys
+ * @param {Uint8Array} data - The data to encrypt
+ * @param {string} password - The password (UTF-8 encoded, as 7-Zip and WinZip do)
+ * @returns {Promise<Uint8Array>} Salt, password verifier, encrypted data and authentication code
+ */
+export async function encryptAes(data, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+    const passwordKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const derived = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-1' },
+        passwordKey,
+        (2 * AES_256_KEY_SIZE + VERIFIER_SIZE) * 8
+    ));
+    const hmacKey = await crypto.subtle.importKey(
+        'raw', derived.slice(AES_256_KEY_SIZE, 2 * AES_256_KEY_SIZE), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
+    );
+
+    const output = new Uint8Array(AES_OVERHEAD + data.length);
+    const encrypted = output.subarray(SALT_SIZE + VERIFIER_SIZE, SALT_SIZE + VERIFIER_SIZE + data.length);
+    output.set(salt, 0);
+    output.set(derived.subarray(2 * AES_256_KEY_SIZE), SALT_SIZE);
+    encrypted.set(data);
+    ctrEncrypt(expandKey(derived.subarray(0, AES_256_KEY_SIZE)), encrypted);
+
+    // The authentication code is the HMAC-SHA1 of the encrypted data, cut to 10 bytes
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, encrypted));
+    output.set(mac.subarray(0, AUTH_CODE_SIZE), output.length - AUTH_CODE_SIZE);
+    return output;
+}
@@ -0,0 +1,257 @@
+import { LightningElement, api, track } from 'lwc';
+import searchRecipients from '@salesforce/apex/EmailRecipientSearch.searchRecipients';
+import { isValidEmailAddress, parseEmailAddresses, reduceErrors } from 'c/emailUtils';
+
+// Delay before searching while the user types
+const SEARCH_DELAY = 300;
+
+// Icon per suggestion type (EmailRecipientSearch.TYPE_*)
+const TYPE_ICONS = {
+    Related: 'standard:contact',
+    Contact: 'standard:contact',
+    User: 'standard:user',
+    Recent: 'standard:recent'
+};
+
+const TYPE_LABELS = {
+    Related: 'Related contact',
+    Contact: 'Contact',
+    User: 'User',
+    Recent: 'Recently used'
+};
+
+/**
+ * Recipient Picker Component
+ * Email address field with pills and a typeahead over the record's contacts, the user's
+ * recent forward recipients and all Contacts and Users. Typed addresses are added when
+ * the user types a comma or semicolon, presses Enter or leaves the field.
+ * Fires a "change" event whose detail.value is the comma separated address list,
+ * including the address being typed so it can be validated as the user types.
+ *
+ * @author Annindya Das
+ * @version 1.0
+ */
+export default class RecipientPicker extends LightningElement {
+    @api label;
+    @api placeholder;
+    @api required = false;
+    // Record the emails are forwarded from; its contacts are suggested first
+    @api recordId;
+
+    @track addresses = [];
+    @track searchTerm = '';
+    @track suggestions = [];
+    @track isOpen = false;
+    @track isSearching = false;
+    @track searchError;
+    @track activeIndex = -1;
+    searchTimer;
+    // Incremented per search so responses to outdated terms are ignored
+    searchVersion = 0;
+    // Last value sent to the parent; it comes back through the value setter
+    dispatchedValue;
+
+    @api
+    get value() {
+        return [...this.addresses, this.searchTerm.trim()].filter(address => address).join(', ');
+    }
+    set value(value) {
+        if (value !== this.dispatchedValue) {
+            this.addresses = parseEmailAddresses(value);
+            this.searchTerm = '';
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimer);
+    }
+
+    get pills() {
+        return this.addresses.map(address => ({
+            address,
+            hasError: !isValidEmailAddress(address)
+        }));
+    }
+
+    get hasAddresses() {
+        return this.addresses.length > 0;
+    }
+
+    // Only require typing while no address has been added
+    get isInputRequired() {
+        return this.required && this.addresses.length === 0;
+    }
+
+    get comboboxClass() {
+        return `slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click${this.isOpen ? ' slds-is-open' : ''}`;
+    }
+
+    get showDropdown() {
+        return this.isOpen && (this.isSearching || this.hasSuggestions || !!this.searchError);
+    }
+
+    // Suggestions not picked yet
+    get visibleSuggestions() {
+        const picked = new Set(this.addresses.map(address => address.toLowerCase()));
+        return this.suggestions.filter(suggestion => !picked.has(suggestion.email.toLowerCase()));
+    }
+
+    get hasSuggestions() {
+        return this.visibleSuggestions.length > 0;
+    }
+
+    get suggestionOptions() {
+        return this.visibleSuggestions.map((suggestion, index) => ({
+            ...suggestion,
+            key: `${suggestion.type}-${suggestion.email}`,
+            iconName: TYPE_ICONS[suggestion.type] || 'standard:email',
+            meta: [suggestion.name !== suggestion.email ? suggestion.email : null, suggestion.detail, TYPE_LABELS[suggestion.type]]
+                .filter(part => part)
+                .join(' • '),
+            isActive: index === this.activeIndex,
+            className: `slds-media slds-listbox__option slds-listbox__option_entity slds-listbox__option_has-meta${index === this.activeIndex ? ' slds-has-focus' : ''}`
+        }));
+    }
+
+    handleFocus() {
+        this.isOpen = true;
+        this.scheduleSearch();
+    }
+
+    handleBlur() {
+        this.addSearchTerm();
+        this.isOpen = false;
+    }
+
+    // Add the addresses before a comma or semicolon and search for the rest
+    handleInputChange(event) {
+        const value = event.detail.value || '';
+        const lastSeparator = Math.max(value.lastIndexOf(','), value.lastIndexOf(';'));
+        this.searchTerm = value.substring(lastSeparator + 1);
+        if (lastSeparator >= 0) {
+            this.addAddresses(parseEmailAddresses(value.substring(0, lastSeparator)));
+        } else {
+            this.dispatchChange();
+        }
+        this.isOpen = true;
+        this.scheduleSearch();
+    }
+
+    handleKeyDown(event) {
+        const count = this.visibleSuggestions.length;
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.isOpen = true;
+                this.activeIndex = count > 0 ? (this.activeIndex + 1) % count : -1;
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.activeIndex = count > 0 ? (this.activeIndex - 1 + count) % count : -1;
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (this.isOpen && this.activeIndex >= 0 && this.activeIndex < count) {
+                    this.selectSuggestion(this.visibleSuggestions[this.activeIndex].email);
+                } else {
+                    this.addSearchTerm();
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    // Close the dropdown without closing the modal
+                    event.stopPropagation();
+                    this.isOpen = false;
+                }
+                break;
+            case 'Backspace':
+                if (!this.searchTerm && this.addresses.length > 0) {
+                    this.addresses = this.addresses.slice(0, -1);
+                    this.dispatchChange();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Pick on mousedown so the input does not lose focus (and add the typed text) first
+    handleSuggestionMouseDown(event) {
+        event.preventDefault();
+        this.selectSuggestion(event.currentTarget.dataset.email);
+    }
+
+    handleRemove(event) {
+        const address = event.target.name;
+        this.addresses = this.addresses.filter(item => item !== address);
+        this.dispatchChange();
+    }
+
+    selectSuggestion(email) {
+        this.searchTerm = '';
+        this.addAddresses([email]);
+        this.scheduleSearch();
+    }
+
+    // Turn the address being typed into a pill
+    addSearchTerm() {
+        const typed = parseEmailAddresses(this.searchTerm);
+        if (typed.length > 0) {
+            this.searchTerm = '';
+            this.addAddresses(typed);
+        }
+    }
+
+    addAddresses(newAddresses) {
+        const picked = new Set(this.addresses.map(address => address.toLowerCase()));
+        const added = newAddresses.filter(address => {
+            const key = address.toLowerCase();
+            if (picked.has(key)) {
+                return false;
+            }
+            picked.add(key);
+            return true;
+        });
+        this.addresses = [...this.addresses, ...added];
+        this.activeIndex = -1;
+        this.dispatchChange();
+    }
+
+    dispatchChange() {
+        this.dispatchedValue = this.value;
+        this.dispatchEvent(new CustomEvent('change', { detail: { value: this.dispatchedValue } }));
+    }
+
+    // Search after the user stops typing
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        const term = this.searchTerm.trim();
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimer = setTimeout(() => {
+            this.search(term);
+        }, SEARCH_DELAY);
+    }
+
+    async search(term) {
+        const version = ++this.searchVersion;
+        this.isSearching = true;
+        this.searchError = undefined;
+
+        try {
+            const suggestions = await searchRecipients({ searchTerm: term, recordId: this.recordId });
+            if (version === this.searchVersion) {
+                this.suggestions = suggestions || [];
+                this.activeIndex = -1;
+            }
+        } catch (error) {
+            if (version === this.searchVersion) {
+                this.suggestions = [];
+                this.searchError = reduceErrors(error);
+            }
+        } finally {
+            if (version === this.searchVersion) {
+                this.isSearching = false;
+            }
+        }
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * jsdom does not provide TextEncoder, TextDecoder or crypto.subtle, which the emailUtils
+ * ZIP, MIME and AES modules use in the browser; take them from Node
+ */
+const { TextEncoder, TextDecoder } = require('util');
+const { webcrypto } = require('crypto');
+
+if (typeof globalThis.TextEncoder === 'undefined') {
+    globalThis.TextEncoder = TextEncoder;
+}
+if (typeof globalThis.TextDecoder === 'undefined') {
+    globalThis.TextDecoder = TextDecoder;
+}
+if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}